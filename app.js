@@ -6,18 +6,14 @@
 
 // ------ Configuration ------
 const CONFIG = {
-    // ArcGIS REST API endpoint for bus lanes layer 611
-    arcgisBaseUrl: 'https://gisn.tel-aviv.gov.il/arcgis/rest/services/IView2/MapServer/611',
-    // ArcGIS REST API endpoint for bus lane cameras layer 949
-    camerasBaseUrl: 'https://gisn.tel-aviv.gov.il/arcgis/rest/services/IView2/MapServer/949',
-    // Query to get all features in WGS84 (EPSG:4326) for Leaflet
-    queryParams: {
-        where: '1=1',
-        outFields: '*',
-        outSR: '4326',
-        f: 'json',
-        resultRecordCount: 2000,
-        resultOffset: 0
+    // ArcGIS REST service of the municipal GIS layers
+    arcgisServiceUrl: 'https://gisn.tel-aviv.gov.il/arcgis/rest/services/IView2/MapServer',
+    // Layers loaded on startup (see arcgis_client.js for the query options).
+    // `parse` turns a raw ArcGIS feature into what the app keeps (null = skip).
+    gisLayers: {
+        lanes: { layerId: 611, name: 'נתיבי תחבורה ציבורית', outFields: '*' },
+        cameras: { layerId: 949, name: 'מצלמות נת"צ', outFields: '*' },
+        junctions: { layerId: 547, name: 'צמתים מרומזרים', outFields: ['shem_tzomet_win'], parse: parseJunctionFeature }
     },
     // Map initial view - centered on Tel Aviv
     mapCenter: [32.0853, 34.7818],
@@ -25,8 +21,12 @@ const CONFIG = {
     // Line display weights
     lineWeight: 6,
     lineWeightHover: 9,
-    // How often to re-check time status (ms)
-    refreshInterval: 60000, // every 1 minute
+    // Statuses are re-checked at the next known transition, and at least this often (ms)
+    maxRefreshInterval: 30 * 60000, // 30 minutes
+    // Lanes flipping status within this many minutes get the "changing soon" color
+    changingSoonMinutes: 15,
+    // Schedules are wall-clock times in Tel Aviv, whatever the device timezone
+    timeZone: 'Asia/Jerusalem',
 };
 
 // ------ Hebrew day names ------
@@ -40,6 +40,8 @@ let allRawFeatures = [];  // original unsplit features
 let allCameras = [];
 let allJunctions = [];    // signalized junctions from layer 547
 let laneLayerGroup;
+let laneLayers = new Map();     // oid → { feature, polylines, styleKey, popupKey }, restyled in place
+let _laneLayersSource = null;   // the features array laneLayers was built from
 let cameraLayerGroup;
 let currentDayType = null; // 'sun_thurs', 'fri', 'sat'
 let currentHour = null;
@@ -48,165 +50,584 @@ let currentHour = null;
 // Time & Day Classification
 // ============================================================
 
+// Israel switches DST on whole UTC hours, so the offset is cached per UTC hour.
+const _tzFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: CONFIG.timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric'
+});
+const _tzOffsetCache = new Map();   // UTC hour number → offset (ms)
+
+/** Offset of Asia/Jerusalem from UTC (ms) at the given moment. */
+function getJerusalemOffset(date) {
+    const hourKey = Math.floor(date.getTime() / 3600000);
+    let offset = _tzOffsetCache.get(hourKey);
+    if (offset === undefined) {
+        const p = {};
+        for (const part of _tzFormatter.formatToParts(new Date(hourKey * 3600000))) {
+            p[part.type] = parseInt(part.value);
+        }
+        offset = Date.UTC(p.year, p.month - 1, p.day, p.hour % 24, p.minute) - hourKey * 3600000;
+        _tzOffsetCache.set(hourKey, offset);
+    }
+    return offset;
+}
+
+/**
+ * Wall-clock fields of a moment in Asia/Jerusalem.
+ * Returns: { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+ */
+function getJerusalemParts(date) {
+    const local = new Date(date.getTime() + getJerusalemOffset(date));
+    return {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        day: local.getUTCDate(),
+        hour: local.getUTCHours(),
+        minute: local.getUTCMinutes(),
+        weekday: local.getUTCDay()
+    };
+}
+
+/**
+ * The moment a Jerusalem wall clock shows the given date and time.
+ * Fields may overflow (day 32, hour 24) like Date.UTC. A time skipped by
+ * the spring-forward switch maps to the hour after it (02:30 → 03:30); a
+ * time repeated by the fall-back switch maps to its first occurrence.
+ */
+function jerusalemDate(year, month, day, hour, minute) {
+    const wall = Date.UTC(year, month - 1, day, hour || 0, minute || 0);
+    // The offsets a day either side are the two sides of any DST switch
+    const before = wall - getJerusalemOffset(new Date(wall - 86400000));
+    const after = wall - getJerusalemOffset(new Date(wall + 86400000));
+    const valid = [before, after].filter(t => t + getJerusalemOffset(new Date(t)) === wall);
+    return new Date(valid.length > 0 ? Math.min(...valid) : before);
+}
+
 /**
  * Determines the current "day type" for schedule lookup.
  * Israeli week:
  *   Sunday (0) - Thursday (4) → 'sun_thurs'
  *   Friday (5) → 'fri' (and eves of holidays)
  *   Saturday (6) → 'sat' (and legal holidays)
+ * Holidays come from hebrew_calendar.js (see getDayTypeInfo).
  */
 function getDayType(date) {
-    const day = date.getDay();
-    if (day >= 0 && day <= 4) return 'sun_thurs';
-    if (day === 5) return 'fri';
-    if (day === 6) return 'sat';
-    return 'sun_thurs';
+    return getDayTypeInfo(date).dayType;
+}
+
+// Higher rank wins when a holiday and the weekday disagree
+const DAY_TYPE_RANK = { sun_thurs: 0, fri: 1, sat: 2 };
+
+/**
+ * Day type plus the holiday (if any) that caused it.
+ * A holiday can only make the day more restrictive: erev chag on a
+ * Sunday becomes 'fri', but Shabbat stays 'sat' even on erev chag.
+ * Returns: { dayType: string, holiday: object|null }
+ */
+function getDayTypeInfo(date) {
+    const p = getJerusalemParts(date);
+    const day = p.weekday;
+    let dayType = 'sun_thurs';
+    if (day === 5) dayType = 'fri';
+    else if (day === 6) dayType = 'sat';
+
+    const holiday = typeof getHoliday === 'function'
+        ? getHoliday(p.year, p.month, p.day)
+        : null;
+    if (holiday && DAY_TYPE_RANK[holiday.dayType] > DAY_TYPE_RANK[dayType]) {
+        dayType = holiday.dayType;
+    }
+    return { dayType, holiday };
+}
+
+/**
+ * "On <day>" phrase for status reasons: "ביום שישי", or the holiday
+ * label when a holiday applies ("בערב חג – שבועות").
+ */
+function describeDay(date, holiday) {
+    return holiday ? `ב${holiday.label}` : `ביום ${HEBREW_DAYS[getJerusalemParts(date).weekday]}`;
 }
 
 /**
- * Get the current hour as a decimal (e.g., 14:30 → 14.5)
+ * Get the Jerusalem wall-clock hour as a decimal (e.g., 14:30 → 14.5)
  */
 function getCurrentDecimalHour(date) {
-    return date.getHours() + date.getMinutes() / 60;
+    const p = getJerusalemParts(date);
+    return p.hour + p.minute / 60;
 }
 
 // ============================================================
 // Schedule Matching - match GIS features to bus_lane_hours.js
 // ============================================================
 
+// Street names are compared with street_matcher.js
+// (normalizeStreet, STREET_ALIASES, matchStreetNames, isSameStreet).
+
+// ============================================================
+// Section Parsing - structured records from schedule `section` text
+// ============================================================
+
+// Direction phrases used in the municipal table → GIS direction_name
+const SECTION_DIRECTIONS = [
+    [/בשני\s+הכיוונים/, 'both'],
+    [/מדרום\s+לצפון|לכיוון\s+צפון/, 'N'],
+    [/מצפון\s+לדרום|לכיוון\s+דרום/, 'S'],
+    [/ממערב\s+ל?מזרח|לכיוון\s+מזרח/, 'E'],
+    [/ממזרח\s+ל?מערב|לכיוון\s+מערב/, 'W']
+];
+
+// Compass adverbs inside a span ("משדרות רוקח מזרחה אל דרך נמיר לדרום")
+const SECTION_COMPASS_WORDS = { 'צפונה': 'N', 'דרומה': 'S', 'מזרחה': 'E', 'מערבה': 'W' };
+const SECTION_COMPASS_RE = /\s+(צפונה|דרומה|מזרחה|מערבה|לצפון|לדרום|למזרח|למערב)$/;
+
+// Words that start a place name — used to find where "בין X לY" splits
+const SECTION_PLACE_WORDS = /^(רחוב|רח['׳]|שדרות|שד['׳]|דרך|מחלף|כיכר|גשר|צומת|שביל|תחנת|נתיבי)/;
+
+const _sectionCache = new Map();
+
 /**
- * Normalize a Hebrew street name for comparison.
- * Removes quotes, double-quotes, geresh, common prefixes, extra spaces.
- * Also strips first-name suffixes (e.g. "בגין מנחם" → "בגין").
- */
-function normalizeStreet(name) {
-    if (!name) return '';
-    let n = name.trim();
-    // Remove common prefixes: רחוב, שדרות, דרך, טיילת, שד׳, רח׳
-    n = n.replace(/^(רחוב|רח['׳]?|שדרות|שד['׳]?|דרך|טיילת)\s+/g, '');
-    // Remove quotes and special chars
-    n = n.replace(/["'׳`]/g, '');
-    // Collapse whitespace
-    n = n.replace(/\s+/g, ' ').trim();
-    return n;
-}
-
-/**
- * Map of GIS street names → schedule street names for cases where
- * the naming convention differs (GIS uses "LastName FirstName" format,
- * schedule uses street signs / short names).
- */
-const STREET_ALIASES = {
-    // GIS "LastName FirstName" → Schedule short name
-    'בגין מנחם': 'בגין',
-    'נמיר מרדכי': 'נמיר',
-    'לבון פנחס': 'לבון',
-    'סנה משה': 'משה סנה',
-    'קפלן אליעזר': 'קפלן',
-    'אלון יגאל': 'יגאל אלון',
-    'אלחנן יצחק': 'יצחק אלחנן',
-    // Spelling differences
-    'תל גבורים': 'תל גיבורים',
-    // GIS uses העליה, schedule uses היינה (same street)
-    'העליה': 'היינה',
-    // GIS "הרברט סמואל" → schedule "טיילת הרברט סמואל" (already normalized)
-    'הרברט סמואל': 'הרברט סמואל',
-    // GIS "המלך גורג" (after normalize removes quotes)
-    'המלך גורג': 'המלך גורג',
-    // Additional possible mappings
-    'גבעת התחמושת': 'קפלן', // Part of Kaplan junction
-};
+ * Parse a schedule `section` string into a structured record:
+ *   "מדרום לצפון: מרחוב מרמורק עד רחוב ארלוזורוב"
+ *   → { direction: 'N', fromStreet: 'מרמורק', toStreet: 'ארלוזורוב', extraSpans: [], qualifiers: [] }
+ *
+ * direction:  'N' | 'S' | 'E' | 'W' | 'both' | null
+ * fromStreet / toStreet: normalized street names of the first span (null if absent)
+ * extraSpans: further comma-separated spans, [{ fromStreet, toStreet }]
+ * qualifiers: bracketed or trailing notes ("100 מטר מהצומת", "פניה שמאלה בלבד")
+ *
+ * Returns null for empty and 'default' sections.
+ */
+function parseSection(section) {
+    if (!section || section === 'default') return null;
+    if (_sectionCache.has(section)) return _sectionCache.get(section);
+
+    const qualifiers = [];
+    let text = section;
+
+    // [bracketed] qualifiers
+    text = text.replace(/\[([^\]]*)\]/g, (m, q) => { qualifiers.push(q.trim()); return ' '; });
+
+    // Turn restrictions and vehicle notes
+    text = text.replace(/ב?פניה\s+(ימינה|שמאלה)\s+בלבד/, m => { qualifiers.push(m.replace(/^ב/, '')); return ' '; });
+    text = text.replace(/\s+ו?לרכב\s.*$/, m => { qualifiers.push(m.trim().replace(/^ו/, '')); return ''; });
+
+    let direction = null;
+    for (const [re, dir] of SECTION_DIRECTIONS) {
+        if (re.test(text)) {
+            direction = dir;
+            text = text.replace(re, ' ');
+            break;
+        }
+    }
+
+    // Leftover lead-ins: "מקטע:", "בקטע שבין", ":" after the direction
+    text = text
+        .replace(/^\s*[:,]?\s*/, '')
+        .replace(/^(מקטע|בקטע)\s*:?\s*(ש(?=בין))?/, '')
+        .replace(/\s+ועד\s+/g, ' עד ')
+        .trim();
+
+    const spans = text.split(',')
+        .map(chunk => chunk.trim().replace(/^ו(?=[מב]|על\s)/, ''))
+        .filter(chunk => chunk.length > 0)
+        .map(chunk => _parseSectionSpan(chunk, qualifiers))
+        .filter(span => span.fromStreet || span.toStreet);
+
+    // A compass adverb left on a street name gives the direction
+    if (!direction) {
+        for (const span of spans) {
+            for (const key of ['fromStreet', 'toStreet']) {
+                const m = span[key] && span[key].match(SECTION_COMPASS_RE);
+                if (m && SECTION_COMPASS_WORDS[m[1]]) direction = direction || SECTION_COMPASS_WORDS[m[1]];
+            }
+        }
+    }
+    for (const span of spans) {
+        if (span.fromStreet) span.fromStreet = span.fromStreet.replace(SECTION_COMPASS_RE, '');
+        if (span.toStreet) span.toStreet = span.toStreet.replace(SECTION_COMPASS_RE, '');
+    }
+
+    const first = spans[0] || { fromStreet: null, toStreet: null };
+    const record = {
+        direction,
+        fromStreet: first.fromStreet,
+        toStreet: first.toStreet,
+        extraSpans: spans.slice(1),
+        qualifiers
+    };
+    _sectionCache.set(section, record);
+    return record;
+}
+
+/**
+ * One span of a section: "מX עד Y", "X עד Y", "מX לY", "מX אל Y",
+ * "בין X לY" / "בין X וY", or a single street ("על רחוב X", "מרחוב X").
+ */
+function _parseSectionSpan(chunk, qualifiers) {
+    let from = null;
+    let to = null;
+
+    const between = chunk.match(/^ש?בין\s+(.+)$/);
+    const until = chunk.match(/^(.+?)\s+(?:עד|אל)\s+(.+)$/);
+
+    if (between) {
+        const parts = between[1].split(/\s+עד\s+/);
+        if (parts.length === 2) {
+            [from, to] = parts;
+        } else {
+            [from, to] = _splitAtConnector(between[1]);
+        }
+    } else if (until) {
+        from = until[1].replace(/^מ/, '');
+        to = until[2];
+    } else if (/^מ/.test(chunk)) {
+        [from, to] = _splitAtConnector(chunk.replace(/^מ/, ''));
+    } else {
+        from = chunk.replace(/^על\s+/, '');
+    }
+
+    // "עד תחנת הדלק בין רחוב לבנון לרחוב איינשטיין" — keep the landmark, note the rest
+    const splitLandmark = name => {
+        const landmark = name && name.match(/^(.+?)\s+(בין\s.+)$/);
+        if (!landmark) return name;
+        qualifiers.push(landmark[2]);
+        return landmark[1];
+    };
+    from = splitLandmark(from);
+    to = splitLandmark(to);
+
+    return {
+        fromStreet: from ? normalizeStreet(from) || null : null,
+        toStreet: to ? normalizeStreet(to) || null : null
+    };
+}
+
+/**
+ * Split "X לY" / "X וY" into [X, Y]. Prefers the connector that is
+ * followed by a place word ("רחוב לבון למחלף חולון"), else the last one.
+ * Returns [text, null] when there is no connector.
+ */
+function _splitAtConnector(text) {
+    const re = /\s([לו])(?=\S)/g;
+    let best = -1;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+        const rest = text.slice(m.index + 2);
+        if (SECTION_PLACE_WORDS.test(rest)) { best = m.index; break; }
+        best = m.index;
+    }
+    if (best < 0) return [text, null];
+    return [text.slice(0, best), text.slice(best + 2)];
+}
 
 /**
  * Score how well a schedule entry matches a GIS feature.
  * Higher = better match. Returns 0 if no match.
  */
 function matchScore(entry, feature) {
+    return explainMatchScore(entry, feature).score;
+}
+
+/**
+ * matchScore with its parts, for the match inspector.
+ * Returns: { score, streetMatch: 'exact'|'alias'|'fuzzy'|'none', confidence, base,
+ *            fromHit, toHit, directionBonus, defaultCapped }
+ */
+function explainMatchScore(entry, feature) {
     const attrs = feature.attributes;
     const featureStreet = normalizeStreet(attrs.street_name);
     const entryStreet = normalizeStreet(entry.street);
+    const result = { score: 0, streetMatch: 'none', confidence: 0, base: 0, fromHit: false, toHit: false, directionBonus: 0, defaultCapped: false };
 
-    if (!featureStreet || !entryStreet) return 0;
-
-    // Street name must match (directly or via alias)
-    const aliased = STREET_ALIASES[featureStreet] || featureStreet;
-    const match = (featureStreet === entryStreet) || (aliased === entryStreet);
-    // Also check if one contains the other (for partial matches like "נמיר" in "דרך נמיר")
-    const partialMatch = !match && (entryStreet.includes(featureStreet) || featureStreet.includes(entryStreet));
+    if (!featureStreet || !entryStreet) return result;
 
-    if (!match && !partialMatch) return 0;
+    // Street name must match (see street_matcher.js for the confidence levels)
+    const nameMatch = compareStreetNames(featureStreet, entryStreet);
+    if (nameMatch.confidence < STREET_MATCH_THRESHOLD) return result;
 
-    let score = match ? 1 : 0.3; // partial matches get lower base score
+    result.streetMatch = nameMatch.method === 'exact' || nameMatch.method === 'alias' ? nameMatch.method : 'fuzzy';
+    result.confidence = nameMatch.confidence;
+    result.base = nameMatch.confidence >= 0.9 ? 1 : 0.3; // looser matches get lower base score
+    let score = result.base;
 
-    // Try to match section details using from_street, to_street, direction
+    // Match section details (parsed spans + direction) against from_street, to_street, direction
     const section = entry.section || '';
+    const parsed = parseSection(section);
     const fromStreet = normalizeStreet(attrs.from_street);
     const toStreet = normalizeStreet(attrs.to_street);
     const direction = attrs.direction_name || '';
 
-    // Check if section mentions from/to streets
-    if (fromStreet && section.includes(fromStreet)) score += 3;
-    if (toStreet && section.includes(toStreet)) score += 3;
-
-    // Check direction match
-    if (direction === 'N' && (section.includes('לצפון') || section.includes('צפונה'))) score += 2;
-    if (direction === 'S' && (section.includes('לדרום') || section.includes('דרומה'))) score += 2;
-    if (direction === 'E' && (section.includes('למזרח') || section.includes('מזרחה'))) score += 2;
-    if (direction === 'W' && (section.includes('למערב') || section.includes('מערבה'))) score += 2;
+    if (parsed) {
+        // Span end-points: the main span plus any comma-separated extras
+        const endpoints = [parsed, ...parsed.extraSpans]
+            .flatMap(span => [span.fromStreet, span.toStreet])
+            .filter(Boolean);
+        result.fromHit = !!fromStreet && endpoints.some(name => isSameStreet(name, fromStreet));
+        result.toHit = !!toStreet && endpoints.some(name => isSameStreet(name, toStreet));
+        if (result.fromHit) score += 3;
+        if (result.toHit) score += 3;
+
+        // Direction match (a two-way section fits either direction, but weaker)
+        if (direction && parsed.direction === direction) result.directionBonus = 2;
+        else if (direction && parsed.direction === 'both') result.directionBonus = 1;
+        score += result.directionBonus;
+    }
 
     // If entry is 'default', it's a fallback - lower score
-    if (section === 'default') score = Math.min(score, 0.5);
+    if (section === 'default' && score > 0.5) {
+        score = 0.5;
+        result.defaultCapped = true;
+    }
 
-    return score;
+    result.score = score;
+    return result;
 }
 
 /**
  * Find the best schedule entry for a GIS feature.
  * Uses SCHEDULE_BY_STREET index from bus_lane_hours.js.
- * Handles GIS ↔ schedule naming differences via aliases and partial matching.
+ * Handles GIS ↔ schedule naming differences via matchStreetNames (aliases,
+ * spelling variants, word order).
+ * Only entries in force at `at` (default: the evaluated time) are considered.
  */
-function findSchedule(feature) {
-    if (typeof SCHEDULE_BY_STREET === 'undefined') return null;
+function findSchedule(feature, at) {
+    return explainScheduleLookup(feature, at).entry;
+}
 
-    const rawStreet = normalizeStreet(feature.attributes.street_name);
-    if (!rawStreet) return null;
-
-    // Try multiple name variants
-    const aliased = STREET_ALIASES[rawStreet] || rawStreet;
-    const variants = new Set([rawStreet, aliased]);
-
-    // Collect all candidates from all variants
-    let candidates = [];
-    for (const key of Object.keys(SCHEDULE_BY_STREET)) {
-        const normKey = normalizeStreet(key);
-        for (const variant of variants) {
-            if (normKey === variant || normKey.includes(variant) || variant.includes(normKey)) {
-                candidates = candidates.concat(SCHEDULE_BY_STREET[key]);
-            }
+const _scheduleCandidatesByStreet = new Map();   // normalized GIS street → schedule entries
+
+/**
+ * Schedule entries of every SCHEDULE_BY_STREET key that is the same
+ * street as `street` (normalized), deduplicated. Cached per name: the
+ * schedule does not change while the page is open.
+ */
+function getScheduleCandidates(street) {
+    let entries = _scheduleCandidatesByStreet.get(street);
+    if (!entries) {
+        entries = [];
+        for (const key of Object.keys(SCHEDULE_BY_STREET)) {
+            if (isSameStreet(key, street)) entries = entries.concat(SCHEDULE_BY_STREET[key]);
+        }
+        entries = [...new Set(entries)];
+        _scheduleCandidatesByStreet.set(street, entries);
+    }
+    return entries;
+}
+
+/**
+ * The full schedule lookup for a feature, step by step.
+ * Each candidate gets its matchScore breakdown only with `withBreakdown`
+ * (the match inspector); statuses score just the candidates they compare.
+ * Returns: { street, alias, candidates: [{ entry, inForce, breakdown? }],
+ *            pin, pinMissing, entry, decision }
+ * decision: 'no-data' | 'pinned' | 'pinned-none' | 'no-street' |
+ *           'no-candidates' | 'geometry' | 'single' | 'best-score' | 'fallback-first'
+ */
+function explainScheduleLookup(feature, at, withBreakdown) {
+    const result = { street: '', alias: null, candidates: [], pin: null, pinMissing: false, entry: null, decision: 'no-data' };
+    if (typeof SCHEDULE_BY_STREET === 'undefined') return result;
+    at = at || getEvaluationTime();
+
+    // Manual pin (see Schedule Pins) wins over any matching
+    const pinInfo = getSchedulePin(feature);
+    if (pinInfo) {
+        result.pin = pinInfo;
+        const pinned = findPinnedEntry(pinInfo.pin, at);
+        if (pinned) {
+            result.entry = pinned;
+            result.decision = pinInfo.pin.none ? 'pinned-none' : 'pinned';
+        } else {
+            result.pinMissing = true;
         }
     }
 
-    // Deduplicate
-    candidates = [...new Set(candidates)];
+    const rawStreet = normalizeStreet(feature.attributes.street_name);
+    result.street = rawStreet;
+    if (!rawStreet) {
+        if (!result.entry) result.decision = 'no-street';
+        return result;
+    }
+
+    const aliased = STREET_ALIASES[rawStreet];
+    if (aliased && aliased !== rawStreet) result.alias = aliased;
 
-    if (candidates.length === 0) return null;
+    // All candidates from every schedule street that matches the name;
+    // versions not in force at `at` are kept for the inspector but skipped
+    result.candidates = getScheduleCandidates(rawStreet).map(entry => {
+        const candidate = { entry, inForce: isEntryInForce(entry, at) };
+        if (withBreakdown) candidate.breakdown = explainMatchScore(entry, feature);
+        return candidate;
+    });
+    const candidates = result.candidates.filter(c => c.inForce).map(c => c.entry);
+    if (result.entry) return result;
+
+    result.decision = 'no-candidates';
+    if (candidates.length === 0) return result;
+
+    // Span chosen from junction geometry (see assignSchedulesByGeometry)
+    const geoKey = _geoSectionByOid[feature.attributes.oid];
+    if (geoKey) {
+        const geoEntry = candidates.find(entry => `${entry.street}|${entry.section}` === geoKey);
+        if (geoEntry) return { ...result, entry: geoEntry, decision: 'geometry' };
+    }
 
     // If only one candidate, use it
-    if (candidates.length === 1) return candidates[0];
+    if (candidates.length === 1) return { ...result, entry: candidates[0], decision: 'single' };
 
     // Score each candidate and pick the best
     let best = null;
     let bestScore = 0;
-    for (const entry of candidates) {
-        const s = matchScore(entry, feature);
-        if (s > bestScore) {
-            bestScore = s;
-            best = entry;
+    for (const c of result.candidates) {
+        if (!c.inForce) continue;
+        const score = c.breakdown ? c.breakdown.score : matchScore(c.entry, feature);
+        if (score > bestScore) {
+            bestScore = score;
+            best = c.entry;
         }
     }
 
     // If no good match found but we have candidates, use the first one as fallback
-    return best || candidates[0];
+    if (best) return { ...result, entry: best, decision: 'best-score' };
+    return { ...result, entry: candidates[0], decision: 'fallback-first' };
+}
+
+// ============================================================
+// Schedule Versions - validFrom / validTo on schedule entries
+// ============================================================
+
+/** 'YYYY-MM-DD' → Jerusalem midnight of that day, shifted by `offsetDays`. */
+function parseScheduleDate(str, offsetDays) {
+    if (!str) return null;
+    const [y, m, d] = str.split('-').map(Number);
+    return jerusalemDate(y, m, d + (offsetDays || 0), 0, 0);
+}
+
+const _entryValidityCache = new WeakMap();   // schedule entry → { from, until }
+
+function isDatedEntry(entry) {
+    return !!(entry.validFrom || entry.validTo);
+}
+
+/**
+ * Validity window of a schedule entry, parsed once per entry. validFrom
+ * and validTo are both inclusive days, so the window ends at midnight
+ * after validTo.
+ * Returns: { from: Date|null, until: Date|null }
+ */
+function getEntryValidity(entry) {
+    let validity = _entryValidityCache.get(entry);
+    if (!validity) {
+        validity = {
+            from: parseScheduleDate(entry.validFrom),
+            until: parseScheduleDate(entry.validTo, 1)
+        };
+        _entryValidityCache.set(entry, validity);
+    }
+    return validity;
+}
+
+function isEntryInForce(entry, at) {
+    if (!isDatedEntry(entry)) return true;
+    const { from, until } = getEntryValidity(entry);
+    return (!from || from <= at) && (!until || at < until);
+}
+
+/**
+ * The next version of the same street + section that takes effect
+ * after `at` (the earliest validFrom in the future), or null.
+ */
+function findNextScheduleVersion(entry, at) {
+    if (typeof SCHEDULE_BY_STREET === 'undefined') return null;
+    const versions = SCHEDULE_BY_STREET[entry.street] || [];
+    let next = null;
+    for (const other of versions) {
+        if (other === entry || other.section !== entry.section || !other.validFrom) continue;
+        const from = getEntryValidity(other).from;
+        if (from > at && (!next || from < getEntryValidity(next).from)) next = other;
+    }
+    return next;
+}
+
+/**
+ * Version boundaries (validFrom, end of validTo) in (after, until] of
+ * every entry a schedule lookup could pick, sorted. Empty without any
+ * dated entry, which is the usual case.
+ */
+function getVersionBoundaries(lookup, after, until) {
+    const entries = lookup.candidates.map(c => c.entry);
+    if (lookup.entry && typeof SCHEDULE_BY_STREET !== 'undefined' && SCHEDULE_BY_STREET[lookup.entry.street]) {
+        entries.push(...SCHEDULE_BY_STREET[lookup.entry.street]);   // versions of a pinned entry
+    }
+    if (!entries.some(isDatedEntry)) return [];
+    const times = new Set();
+    for (const entry of entries) {
+        const { from, until: end } = getEntryValidity(entry);
+        for (const t of [from, end]) {
+            if (t && t > after && t <= until) times.add(t.getTime());
+        }
+    }
+    return [...times].sort((a, b) => a - b).map(t => new Date(t));
+}
+
+/**
+ * Next-change fields for a municipal schedule (see getTransitionInfo).
+ * The entry in force at `now` only holds until the next version boundary
+ * where findSchedule picks another entry, so a flip after it belongs to
+ * the new version and the boundary itself is the next change.
+ * Returns: { nextChange, minutesToChange, changingSoon, versionChange }
+ */
+function getScheduleTransitionInfo(feature, lookup, now) {
+    const entry = lookup.entry;
+    const info = entry ? getTransitionInfo(entry, now) : { nextChange: null, minutesToChange: null, changingSoon: false };
+    const until = info.nextChange || civilDay(now, TRANSITION_LOOKAHEAD_DAYS + 1);
+
+    for (const boundary of getVersionBoundaries(lookup, now, until)) {
+        const next = findSchedule(feature, boundary);
+        if (next === entry) continue;
+        // A new version that flips blocked ↔ open is an ordinary transition
+        const flips = !!entry && !!next &&
+            evaluateHours(entry, new Date(boundary - 1)).blocked !== evaluateHours(next, boundary).blocked;
+        const minutesToChange = Math.ceil((boundary - now) / 60000);
+        return {
+            nextChange: boundary,
+            minutesToChange,
+            changingSoon: flips && minutesToChange <= CONFIG.changingSoonMinutes,
+            versionChange: !flips
+        };
+    }
+    return { ...info, versionChange: false };
+}
+
+/**
+ * Blocked intervals of a feature's municipal schedule over `days` days
+ * from `fromDay`, each day from the version findSchedule picks for it,
+ * so a validFrom / validTo inside the window switches hours on the day.
+ * Returns: { intervals: [{ start, end, range, day }] sorted by start,
+ *            unscheduledDays: [Date] (days with no entry in force) }
+ */
+function getScheduleBlockedIntervals(feature, fromDay, days) {
+    const intervals = [];
+    const unscheduledDays = [];
+    for (let i = 0; i < days; i++) {
+        const day = civilDay(fromDay, i);
+        const entry = findSchedule(feature, day);
+        if (!entry) unscheduledDays.push(day);
+        else if (entry.allWeek) intervals.push({ start: day, end: civilDay(day, 1), range: [0, 24], day });
+        else intervals.push(...getBlockedIntervals(entry, day, 1));
+    }
+    return { intervals: intervals.sort((a, b) => a.start - b.start), unscheduledDays };
+}
+
+/** Short one-line summary of a set of hours, e.g. "א-ה: 07:00-09:00 | ו: 07:00-13:00". */
+function summarizeHours(h) {
+    if (h.allWeek) return 'כל השבוע 24/7';
+    const parts = [];
+    if (h.sun_thu && h.sun_thu.length) parts.push(`א-ה: ${h.sun_thu.map(r => formatHour(r[0]) + '-' + formatHour(r[1])).join(', ')}`);
+    if (h.fri && h.fri.length) parts.push(`ו: ${h.fri.map(r => formatHour(r[0]) + '-' + formatHour(r[1])).join(', ')}`);
+    if (h.sat && h.sat.length) parts.push(`ש: ${h.sat.map(r => formatHour(r[0]) + '-' + formatHour(r[1])).join(', ')}`);
+    return parts.length > 0 ? parts.join(' | ') : 'ללא הגבלה';
 }
 
 /**
@@ -220,107 +641,237 @@ function findSchedule(feature) {
  * - Has time ranges → blocked during those hours for the current day type
  * - No schedule match → unknown (gray)
  * 
- * Returns: { blocked: boolean, reason: string, category: string, schedule: object|null }
+ * The selected vehicle profile is applied last: a lane blocked for
+ * private vehicles becomes category 'exempt' (not blocked) when the
+ * profile is exempt on it.
+ *
+ * Returns: { blocked: boolean, reason: string, category: string, schedule: object|null,
+ *            signOverride: object|null, signConflict: object|null (with a sign override only),
+ *            holiday: object|null, exempt: boolean,
+ *            nextChange: Date|null, minutesToChange: number|null, changingSoon: boolean,
+ *            versionChange: boolean (nextChange is a new schedule version, not a flip) }
  */
 function getLaneStatus(feature, now) {
+    return applyVehicleProfile(getPrivateVehicleStatus(feature, now), feature);
+}
+
+/**
+ * Lane status for a private vehicle (no exemptions).
+ */
+function getPrivateVehicleStatus(feature, now) {
     const attrs = feature.attributes;
-    const dayType = getDayType(now);
-    const currentHr = getCurrentDecimalHour(now);
+    const { holiday } = getDayTypeInfo(now);
     const status = attrs.status;
+    const noChange = { nextChange: null, minutesToChange: null, changingSoon: false };
+
+    // Temporary restrictions (events, roadworks) win over everything below
+    const restriction = findActiveRestriction(feature, now);
+    if (restriction) return getRestrictionStatus(restriction, now, holiday);
 
     // If lane is not active, it's open
     if (status && status !== 'פעיל') {
-        return { blocked: false, reason: 'נתצ לא פעיל', category: 'open', schedule: null, signOverride: null };
+        return { blocked: false, reason: 'נתצ לא פעיל', category: 'open', schedule: null, signOverride: null, holiday, ...noChange };
     }
 
     // Check for community sign override first
     const signOvr = typeof getSignOverride === 'function' ? getSignOverride(feature) : null;
     if (signOvr && signOvr.hours) {
         const ovr = signOvr.hours;
-        if (ovr.allWeek) {
-            return { blocked: true, reason: 'נתצ קבוע – חסום תמיד (24/7) 🪧', category: 'blocked', schedule: ovr, signOverride: signOvr };
-        }
-        let ranges = null;
-        if (dayType === 'sun_thurs') ranges = ovr.sun_thu;
-        else if (dayType === 'fri') ranges = ovr.fri;
-        else if (dayType === 'sat') ranges = ovr.sat;
-        if (!ranges || ranges.length === 0) {
-            return { blocked: false, reason: `אין הגבלה ביום ${HEBREW_DAYS[now.getDay()]} 🪧`, category: 'open', schedule: ovr, signOverride: signOvr };
-        }
-        for (const [start, end] of ranges) {
-            if (isInTimeRange(currentHr, start, end)) {
-                return { blocked: true, reason: `חסום כעת: ${formatHour(start)} - ${formatHour(end)} 🪧`, category: 'blocked', schedule: ovr, signOverride: signOvr };
-            }
-        }
-        const rangeStr = ranges.map(r => `${formatHour(r[0])}-${formatHour(r[1])}`).join(', ');
-        return { blocked: false, reason: `פתוח כעת (הגבלה: ${rangeStr}) 🪧`, category: 'open', schedule: ovr, signOverride: signOvr };
+        return { ...evaluateHours(ovr, now, '🪧'), schedule: ovr, signOverride: signOvr, signConflict: getSignConflict(feature, now, signOvr), holiday, ...getTransitionInfo(ovr, now) };
     }
 
     // Find schedule from bus_lane_hours.js
-    const schedule = findSchedule(feature);
+    const lookup = explainScheduleLookup(feature, now);
+    const schedule = lookup.entry;
 
     if (!schedule) {
         // No schedule data found for this feature → unknown
-        return { blocked: true, reason: 'לא נמצא מידע על שעות – ייתכן שחסום', category: 'unknown', schedule: null, signOverride: null };
+        return { blocked: true, reason: 'לא נמצא מידע על שעות – ייתכן שחסום', category: 'unknown', schedule: null, signOverride: null, holiday, ...getScheduleTransitionInfo(feature, lookup, now) };
     }
 
+    return { ...evaluateHours(schedule, now), schedule, signOverride: null, holiday, ...getScheduleTransitionInfo(feature, lookup, now) };
+}
+
+/**
+ * Pick the time ranges that apply to a day type from a set of hours
+ * ({ sun_thu, fri, sat }). Returns an array or null.
+ */
+function getRangesForDayType(hours, dayType) {
+    if (dayType === 'sun_thurs') return hours.sun_thu;
+    if (dayType === 'fri') return hours.fri;
+    if (dayType === 'sat') return hours.sat;
+    return null;
+}
+
+/**
+ * Evaluate a set of hours (schedule entry or decoded sign) at `now`.
+ * `mark` is appended to the reason (e.g. 🪧 for sign overrides).
+ * Overnight ranges are real calendar intervals (see getBlockedIntervals),
+ * so yesterday's [22, 6] still blocks this morning.
+ * Returns: { blocked: boolean, reason: string, category: string }
+ */
+function evaluateHours(hours, now, mark) {
+    const sfx = mark ? ` ${mark}` : '';
+
     // 24/7 permanent bus lane
-    if (schedule.allWeek) {
-        return { blocked: true, reason: 'נתצ קבוע – חסום תמיד (24/7)', category: 'blocked', schedule, signOverride: null };
+    if (hours.allWeek) {
+        return { blocked: true, reason: `נתצ קבוע – חסום תמיד (24/7)${sfx}`, category: 'blocked' };
     }
 
-    // Get time ranges for current day type
-    let ranges = null;
-    if (dayType === 'sun_thurs') {
-        ranges = schedule.sun_thu;
-    } else if (dayType === 'fri') {
-        ranges = schedule.fri;
-    } else if (dayType === 'sat') {
-        ranges = schedule.sat;
+    // Ranges that started yesterday or today and cover `now` (the
+    // window's later days all start after `now`)
+    const today = civilDay(now, 0);
+    const active = getTransitionWindow(hours, now).intervals
+        .find(iv => iv.start <= now && now < iv.end);
+    if (active) {
+        const [start, end] = active.range;
+        const carried = active.day < today
+            ? ` (החל ${describeDay(active.day, getDayTypeInfo(active.day).holiday)})`
+            : '';
+        return { blocked: true, reason: `חסום כעת: ${formatHour(start)} - ${formatHour(end)}${carried}${sfx}`, category: 'blocked' };
     }
 
     // No restriction for this day type → open
+    const { dayType, holiday } = getDayTypeInfo(now);
+    const ranges = getRangesForDayType(hours, dayType);
     if (!ranges || ranges.length === 0) {
-        return {
-            blocked: false,
-            reason: `אין הגבלה ביום ${HEBREW_DAYS[now.getDay()]}`,
-            category: 'open',
-            schedule,
-            signOverride: null
-        };
+        return { blocked: false, reason: `אין הגבלה ${describeDay(now, holiday)}${sfx}`, category: 'open' };
+    }
+
+    // Outside all operating hours → open
+    const rangeStr = ranges.map(r => `${formatHour(r[0])}-${formatHour(r[1])}`).join(', ');
+    return { blocked: false, reason: `פתוח כעת (הגבלה: ${rangeStr})${sfx}`, category: 'open' };
+}
+
+/**
+ * Blocked periods of `hours` as real calendar intervals, for every
+ * range that starts on one of `days` consecutive days from `fromDay`.
+ *
+ * Each range belongs to the day it starts on, using that day's type
+ * (weekday, Friday, Shabbat or holiday). An overnight range such as
+ * [22, 6] on Thursday blocks Thursday 22:00 → Friday 06:00, whatever
+ * Friday's own ranges are; Saturday-night ranges run into Sunday.
+ * Ranges with start == end are empty and skipped.
+ *
+ * Returns: [{ start: Date, end: Date, range: [start, end], day: Date }] sorted by start.
+ */
+function getBlockedIntervals(hours, fromDay, days) {
+    const intervals = [];
+    for (let i = 0; i < days; i++) {
+        const day = civilDay(fromDay, i);
+        const ranges = getRangesForDayType(hours, getDayType(day)) || [];
+        for (const range of ranges) {
+            const [start, end] = range;
+            if (start === end) continue;
+            const endDay = end < start ? civilDay(day, 1) : day;
+            intervals.push({ start: dateAtHour(day, start), end: dateAtHour(endDay, end), range, day });
+        }
     }
+    return intervals.sort((a, b) => a.start - b.start);
+}
 
-    // Check each time range
-    for (const [start, end] of ranges) {
-        if (isInTimeRange(currentHr, start, end)) {
-            return {
-                blocked: true,
-                reason: `חסום כעת: ${formatHour(start)} - ${formatHour(end)}`,
-                category: 'blocked',
-                schedule,
-                signOverride: null
-            };
+/**
+ * Merge overlapping or touching intervals (e.g. Thursday [20, 24]
+ * followed by Friday [0, 6]) into continuous blocked periods.
+ * Returns: [{ start: Date, end: Date }]
+ */
+function mergeIntervals(intervals) {
+    const merged = [];
+    for (const iv of intervals) {
+        const last = merged[merged.length - 1];
+        if (last && iv.start <= last.end) {
+            if (iv.end > last.end) last.end = iv.end;
+        } else {
+            merged.push({ start: iv.start, end: iv.end });
         }
     }
+    return merged;
+}
 
-    // Outside all operating hours → open
-    const rangeStr = ranges.map(r => `${formatHour(r[0])}-${formatHour(r[1])}`).join(', ');
-    return {
-        blocked: false,
-        reason: `פתוח כעת (הגבלה: ${rangeStr})`,
-        category: 'open',
-        schedule,
-        signOverride: null
-    };
+/**
+ * Find the next moment after `now` at which `hours` flips between
+ * blocked and open, from the merged calendar intervals of the coming
+ * TRANSITION_LOOKAHEAD_DAYS days (day types — weekday, Friday,
+ * Shabbat, holiday — are resolved per day).
+ * Returns a Date, or null if the status never changes (e.g. 24/7).
+ */
+const TRANSITION_LOOKAHEAD_DAYS = 8;
+
+function findNextTransition(hours, now) {
+    if (hours.allWeek) return null;
+    const windowEnd = civilDay(now, TRANSITION_LOOKAHEAD_DAYS + 1);
+
+    for (const iv of getTransitionWindow(hours, now).merged) {
+        if (iv.end <= now) continue;
+        // Blocked right now → opens when this period ends
+        if (iv.start <= now) return iv.end < windowEnd ? iv.end : null;
+        // Open now → blocked when the next period starts
+        return iv.start;
+    }
+    return null;
 }
 
-function isInTimeRange(current, start, end) {
-    if (start <= end) {
-        return current >= start && current < end;
-    } else {
-        // Overnight range (e.g., 22:00 - 06:00)
-        return current >= start || current < end;
+const _transitionWindowCache = new WeakMap();   // hours object → window
+
+/**
+ * Blocked intervals of `hours` from the day before `now` to the end of
+ * the lookahead, as getBlockedIntervals returns them and merged. Cached
+ * per hours object until midnight moves the window: lanes share a few
+ * dozen entries, and every refresh would otherwise rebuild them.
+ * Returns: { windowStart: ms, intervals, merged }
+ */
+function getTransitionWindow(hours, now) {
+    const windowStart = civilDay(now, -1);
+    let cached = _transitionWindowCache.get(hours);
+    if (!cached || cached.windowStart !== windowStart.getTime()) {
+        const intervals = getBlockedIntervals(hours, windowStart, TRANSITION_LOOKAHEAD_DAYS + 2);
+        cached = { windowStart: windowStart.getTime(), intervals, merged: mergeIntervals(intervals) };
+        _transitionWindowCache.set(hours, cached);
+    }
+    return cached;
+}
+
+/**
+ * Next-change fields for a status result.
+ * Returns: { nextChange: Date|null, minutesToChange: number|null, changingSoon: boolean }
+ */
+function getTransitionInfo(hours, now) {
+    const nextChange = findNextTransition(hours, now);
+    if (!nextChange) return { nextChange: null, minutesToChange: null, changingSoon: false };
+    const minutesToChange = Math.ceil((nextChange - now) / 60000);
+    return { nextChange, minutesToChange, changingSoon: minutesToChange <= CONFIG.changingSoonMinutes };
+}
+
+/** Jerusalem midnight starting the calendar day `offset` days after the day of `date`. */
+function civilDay(date, offset) {
+    const p = getJerusalemParts(date);
+    return jerusalemDate(p.year, p.month, p.day + offset, 0, 0);
+}
+
+/** Date on the same Jerusalem calendar day as `day` at a decimal hour (24 → next midnight). */
+function dateAtHour(day, decimal) {
+    const p = getJerusalemParts(day);
+    const hours = Math.floor(decimal);
+    const minutes = Math.round((decimal - hours) * 60);
+    return jerusalemDate(p.year, p.month, p.day, hours, minutes);
+}
+
+/**
+ * Short countdown text for a status, e.g. "נפתח בעוד 23 דק׳".
+ * Changes more than a day away are shown as day + hour.
+ */
+function describeNextChange(status) {
+    if (!status.nextChange) return '';
+    const verb = status.versionChange ? 'השעות משתנות' : status.blocked ? 'נפתח' : 'ייחסם';
+    const mins = status.minutesToChange;
+    if (mins < 60) return `${verb} בעוד ${mins} דק׳`;
+    if (mins < 24 * 60) {
+        const h = Math.floor(mins / 60);
+        const m = mins % 60;
+        return m === 0 ? `${verb} בעוד ${h} שע׳` : `${verb} בעוד ${h} שע׳ ${m} דק׳`;
     }
+    const at = status.nextChange;
+    return `${verb} ביום ${HEBREW_DAYS_SHORT[getJerusalemParts(at).weekday]} ${formatHour(getCurrentDecimalHour(at))}`;
 }
 
 function formatHour(decimal) {
@@ -334,97 +885,237 @@ function formatHour(decimal) {
 // Data Fetching
 // ============================================================
 
+let gisLoadStatus = {};   // layer key → { name, count, complete, error }
+
 /**
- * Fetch all bus lane features from the ArcGIS REST API.
- * Handles pagination (max 2000 per request).
+ * Load one layer of CONFIG.gisLayers through the ArcGIS client and
+ * record whether it arrived complete. Returns its (parsed) features;
+ * a failed load returns whatever pages did arrive.
  */
-async function fetchAllFeatures() {
-    let allFeatures = [];
-    let offset = 0;
-    const batchSize = 2000;
-    let hasMore = true;
-
-    while (hasMore) {
-        const params = new URLSearchParams({
-            ...CONFIG.queryParams,
-            resultOffset: offset,
-            resultRecordCount: batchSize
-        });
+async function loadGisLayer(key) {
+    const layer = CONFIG.gisLayers[key];
+    const result = await queryArcGisLayer({ url: `${CONFIG.arcgisServiceUrl}/${layer.layerId}`, ...layer });
+    const features = layer.parse ? result.features.map(layer.parse).filter(Boolean) : result.features;
+
+    gisLoadStatus[key] = { name: layer.name, count: features.length, complete: result.complete, error: result.error };
+    updateGisLoadStatus();
+    console.log(`Fetched ${features.length} ${key} from Tel Aviv GIS layer ${layer.layerId}${result.complete ? '' : ` (incomplete: ${result.error})`}`);
+    return features;
+}
 
-        const url = `${CONFIG.arcgisBaseUrl}/query?${params}`;
+/** Signalized junction (layer 547) → { name, lat, lng }. */
+function parseJunctionFeature(f) {
+    const g = f.geometry;
+    if (!g || g.x == null || g.y == null) return null;
+    return { name: (f.attributes.shem_tzomet_win || '').trim(), lat: g.y, lng: g.x };
+}
 
-        try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const data = await response.json();
+/**
+ * Info-bar warning for layers that failed or loaded only partly.
+ */
+function updateGisLoadStatus() {
+    const el = document.getElementById('dataStatus');
+    if (!el) return;
+    const problems = Object.values(gisLoadStatus).filter(s => !s.complete);
+    if (problems.length === 0) {
+        el.style.display = 'none';
+        return;
+    }
+    const lines = problems.map(s => s.count > 0
+        ? `${s.name}: נטענו חלקית (${s.count}) – ${s.error}`
+        : `${s.name}: הטעינה נכשלה – ${s.error}`);
+    if (gisDataFromSnapshot) lines.push('מוצגים הנתונים השמורים מההורדה האחרונה');
+    el.style.display = '';
+    el.textContent = gisDataFromSnapshot ? '📴 נתונים שמורים'
+        : problems.some(s => s.count === 0) ? '⚠️ חסרים נתונים' : '⚠️ נתונים חלקיים';
+    el.title = lines.join('\n');
+}
 
-            if (data.error) {
-                throw new Error(data.error.message || 'ArcGIS API error');
-            }
+// ============================================================
+// GIS Data Lifecycle — snapshot first, then refresh from the network
+// ============================================================
 
-            if (data.features && data.features.length > 0) {
-                allFeatures = allFeatures.concat(data.features);
-                offset += data.features.length;
-                // If exceededTransferLimit is true, there are more features
-                hasMore = data.exceededTransferLimit === true;
-            } else {
-                hasMore = false;
-            }
-        } catch (error) {
-            console.error('Error fetching features:', error);
-            hasMore = false;
-        }
-    }
+let gisDataSavedAt = null;        // ms timestamp of the download shown on the map
+let gisDataFromSnapshot = false;  // true while the map shows the stored snapshot
+let _gisRefreshPromise = null;
 
-    console.log(`Fetched ${allFeatures.length} bus lane features from Tel Aviv GIS`);
-    return allFeatures;
+/**
+ * Download the startup layers.
+ * Returns: { lanes, cameras, junctions, complete }
+ */
+async function fetchGisLayers() {
+    const [lanes, cameras, junctions] = await Promise.all([
+        loadGisLayer('lanes'),
+        loadGisLayer('cameras'),
+        loadGisLayer('junctions')
+    ]);
+    const complete = ['lanes', 'cameras', 'junctions'].every(key => gisLoadStatus[key] && gisLoadStatus[key].complete);
+    return { lanes, cameras, junctions, complete };
 }
 
+const PREPROCESS_STAGE_TEXT = {
+    split: 'מפצל נתיבים בצמתים',
+    cameras: 'משייך מצלמות לקטעים'
+};
+
 /**
- * Fetch all camera features from Layer 949.
+ * Split the lanes at junctions and index the cameras in gis_worker.js,
+ * or on the main thread where workers aren't available. The last result
+ * is cached by input hash, so an unchanged download skips the work.
+ * Returns: { hash, features, cameraMap }
  */
-async function fetchAllCameras() {
-    let cameras = [];
-    let offset = 0;
-    const batchSize = 2000;
-    let hasMore = true;
+async function preprocessGisData(lanes, cameras, junctions) {
+    const cache = await loadPreprocessCache();
+    const input = { lanes, cameras, junctions, cachedHash: cache ? cache.hash : null };
+    let result;
+    try {
+        result = await runGisWorker(input);
+    } catch (e) {
+        console.warn('GIS worker unavailable, preprocessing on the main thread:', e);
+        result = runGisPreprocess(input, showPreprocessProgress);
+    }
+    if (result.cached) {
+        console.log(`♻️ Reusing preprocessed GIS data (${result.hash})`);
+        return cache;
+    }
+    savePreprocessCache(result);
+    return result;
+}
 
-    while (hasMore) {
-        const params = new URLSearchParams({
-            where: '1=1',
-            outFields: '*',
-            outSR: '4326',
-            f: 'json',
-            resultOffset: offset,
-            resultRecordCount: batchSize
-        });
+// The ?v= of this script's tag in index.html. gis_worker.js passes it on
+// to its own importScripts, so one release never mixes in cached copies.
+const ASSET_QUERY = typeof document !== 'undefined' && document.currentScript
+    ? new URL(document.currentScript.src).search
+    : '';
+
+/** runGisPreprocess in gis_worker.js. Rejects if the worker can't start. */
+function runGisWorker(input) {
+    return new Promise((resolve, reject) => {
+        if (typeof Worker === 'undefined') {
+            reject(new Error('Web Workers not supported'));
+            return;
+        }
+        const worker = new Worker(`gis_worker.js${ASSET_QUERY}`);
+        worker.onmessage = event => {
+            const msg = event.data;
+            if (msg.type === 'progress') {
+                showPreprocessProgress(msg.stage, msg.done, msg.total);
+                return;
+            }
+            worker.terminate();
+            if (msg.type === 'result') resolve(msg.result);
+            else reject(new Error(msg.message));
+        };
+        worker.onerror = event => {
+            worker.terminate();
+            reject(new Error(event.message || 'worker error'));
+        };
+        worker.postMessage(input);
+    });
+}
+
+/** "מפצל נתיבים בצמתים… 40%" under the loading spinner. */
+function showPreprocessProgress(stage, done, total) {
+    const el = document.querySelector('.loading-sub');
+    if (!el) return;
+    const percent = total > 0 ? Math.round(done / total * 100) : 0;
+    el.textContent = `${PREPROCESS_STAGE_TEXT[stage] || stage}… ${percent}%`;
+}
 
-        const url = `${CONFIG.camerasBaseUrl}/query?${params}`;
+/**
+ * Put a set of GIS data on the map: state, schedule geometry,
+ * lanes, cameras and the indexes built from them.
+ * data: { lanes, cameras, junctions, features (split lanes), cameraMap }
+ */
+function applyGisData(data, savedAt, fromSnapshot) {
+    allRawFeatures = data.lanes;
+    allJunctions = data.junctions;
+    allCameras = data.cameras;
+    allFeatures = data.features;
+    gisDataSavedAt = savedAt;
+    gisDataFromSnapshot = fromSnapshot;
+
+    // Assign schedule entries to sub-features by their junction spans
+    assignSchedulesByGeometry(allRawFeatures, allFeatures, allJunctions);
+
+    // Render with current (or planned) time
+    const now = getEvaluationTime();
+    renderLanes(allFeatures, now);
+    renderCameras(allCameras);
+
+    // Build the spatial index and install the camera→segment offline index
+    getSegmentGrid();
+    applyCameraSegmentMap(data.cameraMap);
+
+    // Build street autocomplete for sign reports
+    buildStreetAutocomplete();
+
+    // Log matching stats (details in the data-quality panel)
+    const quality = buildDataQualityReport(now);
+    console.log(`📊 Schedule matching: ${quality.totals.matched} matched, ${quality.totals.fallback} fallback, ${quality.totals.unmatched} unmatched`);
+    const unmatchedStreets = quality.streets.filter(row => row.unmatched > 0).map(row => row.street);
+    if (unmatchedStreets.length > 0) {
+        console.log('⚠️ Unmatched streets:', unmatchedStreets.join(', '));
+    }
+    if (isQualityPanelOpen()) renderQualityPanel();
 
-        try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const data = await response.json();
+    // Keep recent GIS changes outlined on top of the new lanes
+    onGisChangesUpdated();
 
-            if (data.error) {
-                throw new Error(data.error.message || 'ArcGIS API error');
-            }
+    updateGisLoadStatus();
+    updateDataAge();
+}
 
-            if (data.features && data.features.length > 0) {
-                cameras = cameras.concat(data.features);
-                offset += data.features.length;
-                hasMore = data.exceededTransferLimit === true;
-            } else {
-                hasMore = false;
-            }
-        } catch (error) {
-            console.error('Error fetching cameras:', error);
-            hasMore = false;
+/**
+ * Load the layers from the network and show them. A complete download
+ * replaces the stored snapshot; a partial one is only shown when there
+ * is nothing better on the map. Returns true if new data was applied.
+ */
+function refreshGisData() {
+    if (_gisRefreshPromise) return _gisRefreshPromise;
+    _gisRefreshPromise = (async () => {
+        const fresh = await fetchGisLayers();
+        if (fresh.lanes.length === 0 && fresh.cameras.length === 0) return false;
+        if (!fresh.complete && allFeatures.length > 0) return false;
+
+        // Compare with the stored download before it is replaced
+        const previous = fresh.complete ? await loadGisSnapshot() : null;
+
+        const processed = await preprocessGisData(fresh.lanes, fresh.cameras, fresh.junctions);
+        const savedAt = Date.now();
+        applyGisData({ ...fresh, ...processed }, savedAt, false);
+        if (previous) {
+            const diff = diffGisSnapshots(previous, fresh);
+            if (diff.count > 0) recordGisChanges(diff, savedAt);
         }
-    }
+        if (fresh.complete) {
+            await saveGisSnapshot({ savedAt, lanes: fresh.lanes, cameras: fresh.cameras, junctions: fresh.junctions });
+        }
+        return true;
+    })().finally(() => { _gisRefreshPromise = null; });
+    return _gisRefreshPromise;
+}
+
+/** Apply a stored snapshot (its preprocessing normally comes from the cache). */
+async function applyGisSnapshot(snapshot) {
+    const processed = await preprocessGisData(snapshot.lanes, snapshot.cameras, snapshot.junctions);
+    applyGisData({ ...snapshot, ...processed }, snapshot.savedAt, true);
+    console.log(`🗄️ Started from GIS snapshot of ${new Date(snapshot.savedAt).toISOString()}`);
+}
 
-    console.log(`Fetched ${cameras.length} camera features from Tel Aviv GIS`);
-    return cameras;
+/** "🗄️ נתונים: לפני 3 שע׳" in the info bar. */
+function updateDataAge() {
+    const el = document.getElementById('dataAge');
+    if (!el || !gisDataSavedAt) return;
+    const minutes = Math.floor((Date.now() - gisDataSavedAt) / 60000);
+    const age = minutes < 1 ? 'עכשיו'
+        : minutes < 60 ? `לפני ${minutes} דק׳`
+        : minutes < 48 * 60 ? `לפני ${Math.floor(minutes / 60)} שע׳`
+        : `לפני ${Math.floor(minutes / 1440)} ימים`;
+    el.textContent = `🗄️ ${age}`;
+    el.title = `נתוני GIS מ-${new Date(gisDataSavedAt).toLocaleString('he-IL', { timeZone: CONFIG.timeZone })}${gisDataFromSnapshot ? ' (שמורים במכשיר)' : ''}`;
+    el.classList.toggle('stale', gisDataFromSnapshot);
+    el.style.display = '';
 }
 
 // ============================================================
@@ -450,6 +1141,12 @@ function initMap() {
 
     laneLayerGroup = L.layerGroup().addTo(map);
     cameraLayerGroup = L.layerGroup().addTo(map);
+
+    // Direction arrows above the lanes, never in the way of clicks
+    const arrowPane = map.createPane('laneArrows');
+    arrowPane.style.zIndex = 450;
+    arrowPane.style.pointerEvents = 'none';
+    map.on('zoomend moveend', updateArrowVisibility);
 }
 
 /**
@@ -467,6 +1164,9 @@ function arcgisPathsToLatLngs(paths) {
  */
 function getStatusColor(status) {
     if (status.category === 'unknown') return '#95a5a6'; // gray for no schedule data
+    if (status.category === 'exempt') return '#16a085';  // teal - blocked, but the vehicle is exempt
+    if (status.category === 'closed') return '#2c3e50';  // dark - road closed (temporary restriction)
+    if (status.changingSoon) return '#f39c12'; // orange - flips within changingSoonMinutes
     if (status.blocked) return '#e74c3c'; // red - blocked
     return '#2ecc71'; // green - open
 }
@@ -474,7 +1174,7 @@ function getStatusColor(status) {
 /**
  * Create popup HTML for a lane feature
  */
-function createPopupContent(feature, status) {
+function createPopupContent(feature, status, now) {
     const a = feature.attributes;
     const directionText = a.direction_name ?
         (a.direction_name === 'E' ? 'מזרח' :
@@ -484,14 +1184,23 @@ function createPopupContent(feature, status) {
          a.direction_name) : 'לא צוין';
 
     const typeText = a.type_of_nataz || 'לא צוין';
+    const profile = getVehicleProfile();
     const statusClass = status.blocked ? 'blocked' : 'open';
-    const statusText = status.blocked ? '🚫 חסום לרכב פרטי' : '✅ פתוח לרכב פרטי';
+    const statusText = status.category === 'closed' ? '⛔ הכביש סגור'
+        : status.blocked ? `🚫 חסום ל${profile.label}`
+        : status.exempt ? `✅ פתוח ל${profile.label} (פטור)`
+        : `✅ פתוח ל${profile.label}`;
 
     let hoursHtml = '';
     const sch = status.schedule;
 
-    if (sch) {
-        if (sch.allWeek) {
+    if (status.restriction) {
+        const rule = RESTRICTION_RULES[status.restriction.rule];
+        hoursHtml = `<div class="popup-row"><span class="popup-label">הגבלה זמנית:</span><span class="popup-value">${rule.icon} ${rule.text}</span></div>`;
+    } else if (sch) {
+        if (sch.noRestriction) {
+            hoursHtml = '<div class="popup-row"><span class="popup-label">שעות הגבלה:</span><span class="popup-value">ללא הגבלה (נקבע ידנית)</span></div>';
+        } else if (sch.allWeek) {
             hoursHtml = '<div class="popup-row"><span class="popup-label">שעות הגבלה:</span><span class="popup-value">כל ימות השבוע, כל שעות היממה (24/7)</span></div>';
         } else {
             // Sun-Thu hours
@@ -533,19 +1242,41 @@ function createPopupContent(feature, status) {
                 <span class="popup-value">${sch.section}</span>
             </div>`;
         }
+
+        // Rule validity: when the current hours started and what changes next
+        if (!status.signOverride) {
+            hoursHtml += renderScheduleValidityRows(sch, now);
+        }
     } else {
         hoursHtml = '<div class="popup-row"><span class="popup-label">שעות הגבלה:</span><span class="popup-value" style="color:#e67e22;">לא נמצא מידע (לא בטבלת העירייה)</span></div>';
     }
 
+    // Temporary restriction badge
+    let restrictionBadgeHtml = '';
+    if (status.restriction) {
+        const r = status.restriction;
+        const fmt = iso => new Date(iso).toLocaleString('he-IL', { timeZone: CONFIG.timeZone, dateStyle: 'short', timeStyle: 'short' });
+        restrictionBadgeHtml = `<div class="sign-badge restriction ${r.rule}">
+            <span class="badge-icon">${RESTRICTION_RULES[r.rule].icon}</span>
+            <span>הגבלה זמנית: ${r.title}<br>${fmt(r.start)} – ${fmt(r.end)}</span>
+        </div>`;
+    }
+
     // Sign verification badge
     let signBadgeHtml = '';
     const streetReports = typeof getReportsForStreet === 'function' ? getReportsForStreet(a.street_name) : [];
     if (status.signOverride) {
-        const ovrDate = new Date(status.signOverride.timestamp).toLocaleDateString('he-IL');
+        const ovrDate = new Date(status.signOverride.timestamp).toLocaleDateString('he-IL', { timeZone: CONFIG.timeZone });
         signBadgeHtml = `<div class="sign-badge verified">
             <span class="badge-icon">🪧✅</span>
             <span>עודכן לפי שלט בשטח — ${ovrDate}</span>
         </div>`;
+        if (status.signConflict) {
+            signBadgeHtml += `<div class="sign-badge conflict">
+                <span class="badge-icon">⚠️</span>
+                <span>השלט סותר את טבלת העירייה:<br>${describeSignConflict(status.signConflict).join('<br>')}</span>
+            </div>`;
+        }
     } else if (streetReports.length > 0) {
         const pending = streetReports.filter(r => r.status === 'pending').length;
         if (pending > 0) {
@@ -592,43 +1323,144 @@ function createPopupContent(feature, status) {
                 <span class="popup-value">${a.number_private_lanes || '?'}</span>
             </div>
             <hr style="margin: 8px 0; border: none; border-top: 1px solid #eee;">
+            ${status.holiday ? `<div class="popup-row">
+                <span class="popup-label">יום מיוחד:</span>
+                <span class="popup-value">📅 ${status.holiday.label}</span>
+            </div>` : ''}
             <div style="font-weight: 600; margin-bottom: 4px;">שעות הגבלה:</div>
             ${hoursHtml}
             ${a.comments ? `<div class="popup-row"><span class="popup-label">הערות:</span><span class="popup-value">${a.comments}</span></div>` : ''}
             <div style="text-align: center;">
                 <span class="popup-status ${statusClass}">${statusText}</span>
             </div>
+            ${status.nextChange ? `<div style="font-size: 12px; font-weight: 600; margin-top: 6px; text-align: center; color: ${status.changingSoon ? '#e67e22' : '#555'};">⏳ ${describeNextChange(status)}</div>` : ''}
             <div style="font-size: 10px; color: #999; margin-top: 6px; text-align: center;">${status.reason}</div>
+            ${restrictionBadgeHtml}
             ${signBadgeHtml}
+            <button class="popup-report-btn" onclick="map.closePopup(); openTimetable('${a.oid}')">🗓️ לוח שעות שבועי</button>
+            <button class="popup-report-btn" onclick="map.closePopup(); openMatchInspector('${a.oid}')">🔍 למה השעות האלה?</button>
             <button class="popup-report-btn" onclick="openPhotoModalForStreet('${(a.street_name || '').replace(/'/g, "\\'")}')">🪧 דווח שלט מהשטח</button>
         </div>
     `;
 }
 
 /**
- * Render all lanes on the map with current time-based coloring
+ * Popup rows for a schedule entry's validity: the date the current rule
+ * took effect, and the next known version (or the end date if none).
+ */
+function renderScheduleValidityRows(entry, now) {
+    const fmt = date => date.toLocaleDateString('he-IL', { timeZone: CONFIG.timeZone });
+    const { from, until } = getEntryValidity(entry);
+    let html = '';
+
+    if (from) {
+        html += `<div class="popup-row" style="font-size: 11px; color: #888;">
+            <span class="popup-label">בתוקף מ:</span>
+            <span class="popup-value">${fmt(from)}</span>
+        </div>`;
+    }
+
+    const next = findNextScheduleVersion(entry, now || getEvaluationTime());
+    if (next) {
+        html += `<div class="popup-row" style="font-size: 11px; color: #e67e22;">
+            <span class="popup-label">שינוי צפוי:</span>
+            <span class="popup-value">מ-${fmt(parseScheduleDate(next.validFrom))} — ${summarizeHours(next)}</span>
+        </div>`;
+    } else if (until) {
+        html += `<div class="popup-row" style="font-size: 11px; color: #e67e22;">
+            <span class="popup-label">בתוקף עד:</span>
+            <span class="popup-value">${fmt(parseScheduleDate(entry.validTo))}</span>
+        </div>`;
+    }
+    return html;
+}
+
+/**
+ * Show lane statuses at `now`. Layers are built once per feature set
+ * (buildLaneLayers); later calls only restyle segments whose status
+ * changed, so open popups survive and the map doesn't flicker.
+ * Segments hidden by the map filters are left out of the counters.
  */
 function renderLanes(features, now) {
-    laneLayerGroup.clearLayers();
+    const rebuilt = features !== _laneLayersSource;
+    if (rebuilt) buildLaneLayers(features);
 
     let blockedCount = 0;
     let openCount = 0;
     let permanentCount = 0;
+    let soonCount = 0;
+    let nextRefresh = null;
+    let visibilityChanged = false;
+
+    for (const entry of laneLayers.values()) {
+        const status = getLaneStatus(entry.feature, now);
+
+        const visible = laneMatchesFilters(entry.feature, status);
+        if (visible !== entry.visible) {
+            entry.visible = visible;
+            visibilityChanged = true;
+            entry.polylines.forEach(p => visible ? laneLayerGroup.addLayer(p) : laneLayerGroup.removeLayer(p));
+        }
+        if (visible) {
+            const countCategory = getLaneCountCategory(status);
+            if (countCategory === 'unknown') permanentCount++;
+            else if (countCategory === 'blocked') blockedCount++;
+            else openCount++;
+            if (status.changingSoon) soonCount++;
+        }
+
+        const color = getStatusColor(status);
+        const styleKey = `${color}|${status.signConflict ? 'conflict' : ''}`;
+        if (styleKey !== entry.styleKey) {
+            entry.styleKey = styleKey;
+            // Dashed: the field sign disagrees with the municipal table
+            entry.polylines.forEach(p => p.setStyle({ color, dashArray: status.signConflict ? '10 8' : null }));
+        }
+
+        // Popup content is built when opened; refresh only an open one
+        const popupKey = [status.category, status.reason, status.minutesToChange,
+            status.signConflict ? 1 : 0, status.restriction ? status.restriction.id : ''].join('|');
+        if (popupKey !== entry.popupKey) {
+            entry.popupKey = popupKey;
+            entry.polylines.forEach(p => { if (p.isPopupOpen()) p.getPopup().update(); });
+        }
+
+        nextRefresh = earliestDate(nextRefresh, getStatusRefreshTime(status, now));
+    }
+
+    // Update counters
+    document.getElementById('blockedCount').textContent = blockedCount;
+    document.getElementById('openCount').textContent = openCount;
+    document.getElementById('unknownCount').textContent = permanentCount;
+    document.getElementById('soonCount').textContent = soonCount;
+
+    if (rebuilt || visibilityChanged) {
+        setLaneArrows([...laneLayers.values()].filter(e => e.visible && e.trafficPts).map(e => e.trafficPts));
+    }
+
+    refreshTimetablePanel();
+    scheduleStatusRefresh(nextRefresh);
+}
+
+/**
+ * Create the polylines, handlers, popups and arrow points of every
+ * segment. Styles, filters and arrows are left to renderLanes.
+ */
+function buildLaneLayers(features) {
+    laneLayerGroup.clearLayers();
+    laneLayers = new Map();
+    _laneLayersSource = features;
 
     features.forEach(feature => {
         if (!feature.geometry || !feature.geometry.paths) return;
 
-        const status = getLaneStatus(feature, now);
-        const color = getStatusColor(status);
         const latLngs = arcgisPathsToLatLngs(feature.geometry.paths);
-
-        if (status.category === 'unknown') permanentCount++;
-        else if (status.blocked) blockedCount++;
-        else openCount++;
+        const entry = { feature, polylines: [], trafficPts: null, visible: true, styleKey: null, popupKey: null };
+        laneLayers.set(feature.attributes.oid, entry);
 
         latLngs.forEach(path => {
             const polyline = L.polyline(path, {
-                color: color,
+                renderer: getLaneRenderer(),
                 weight: CONFIG.lineWeight,
                 opacity: 0.85,
                 lineJoin: 'round',
@@ -644,50 +1476,274 @@ function renderLanes(features, now) {
                 this.setStyle({ weight: CONFIG.lineWeight, opacity: 0.85 });
             });
 
-            // Don't bind popups during sim planning (they intercept clicks)
-            if (!(simActive && simPlanning)) {
-                polyline.bindPopup(createPopupContent(feature, status), {
-                    maxWidth: 320,
-                    className: 'lane-popup-container'
-                });
-            }
+            // With the timetable panel open, clicking a lane switches the grid to it
+            polyline.on('click', () => {
+                if (restrictionDraft && restrictionDraft.mode === 'segments') {
+                    toggleRestrictionDraftSegment(feature.attributes.oid);
+                    return;
+                }
+                if (isTimetablePanelOpen()) openTimetable(feature.attributes.oid);
+            });
+
+            polyline.bindPopup(() => {
+                const now = getEvaluationTime();
+                return createPopupContent(feature, getLaneStatus(feature, now), now);
+            }, {
+                maxWidth: 320,
+                className: 'lane-popup-container'
+            });
 
+            entry.polylines.push(polyline);
             laneLayerGroup.addLayer(polyline);
         });
 
-        // Add direction arrow(s) on each segment — use traffic order
+        // Direction arrow(s) on each segment — use traffic order (drawn by renderLanes)
         const trafficPts = getFeaturePointsInTrafficOrder(feature);
-        if (trafficPts.length >= 2) {
-            let totalLen = 0;
-            for (let k = 1; k < trafficPts.length; k++) {
-                totalLen += L.latLng(trafficPts[k - 1]).distanceTo(L.latLng(trafficPts[k]));
+        if (trafficPts.length >= 2) entry.trafficPts = trafficPts;
+    });
+
+    // Rebuilt during sim planning or restriction picking (background GIS
+    // refresh, render mode switch): popups would intercept the clicks
+    if (simActive && simPlanning) _addSimLaneClicks();
+    if ((simActive && simPlanning) || restrictionDraft) _disableLanePopups();
+}
+
+/** Every lane polyline, including those hidden by the map filters. */
+function forEachLanePolyline(fn) {
+    laneLayers.forEach(entry => entry.polylines.forEach(fn));
+}
+
+// ============================================================
+// Lane Render Mode — SVG or canvas
+// ============================================================
+//
+// svg:    every polyline is a DOM node, arrows are divIcon markers
+//         about ARROW_SPACING_PX apart, re-placed around the view on
+//         zoom and pan (hidden below ARROW_MIN_ZOOM).
+// canvas: polylines share one L.canvas renderer (Leaflet does the
+//         hit-testing for clicks and popups), arrows are painted on a
+//         canvas of their own, ARROW_SPACING_PX apart at any zoom.
+
+const RENDER_MODE_KEY = 'tlv_bus_lane_render_mode';
+const RENDER_MODES = {
+    canvas: { label: '⚡ קנבס' },
+    svg: { label: '🖌️ SVG' }
+};
+const ARROW_MIN_ZOOM = 14;      // no direction arrows when zoomed out further
+const ARROW_SPACING_PX = 90;    // screen distance between arrows
+
+let renderMode = loadRenderMode();
+let laneCanvasRenderer = null;
+let laneArrowLayer = null;      // L.layerGroup of markers (svg) or LaneArrowCanvasLayer
+let _svgArrowLanes = [];        // { points, bounds } per visible lane, for re-placing svg arrows
+let _svgArrowView = null;       // { zoom, bounds } the svg markers were placed for
+
+function loadRenderMode() {
+    try {
+        const mode = localStorage.getItem(RENDER_MODE_KEY);
+        return RENDER_MODES[mode] ? mode : 'canvas';
+    } catch (e) {
+        return 'canvas';
+    }
+}
+
+function setupRenderMode() {
+    const select = document.getElementById('renderMode');
+    if (!select) return;
+    select.innerHTML = Object.entries(RENDER_MODES)
+        .map(([id, m]) => `<option value="${id}">${m.label}</option>`)
+        .join('');
+    select.value = renderMode;
+    select.addEventListener('change', () => setRenderMode(select.value));
+}
+
+/** Switch renderer and rebuild the lane layers. */
+function setRenderMode(mode) {
+    if (!RENDER_MODES[mode] || mode === renderMode) return;
+    renderMode = mode;
+    try { localStorage.setItem(RENDER_MODE_KEY, mode); }
+    catch (e) { console.warn('Could not save render mode:', e); }
+    map.closePopup();
+    _laneLayersSource = null;
+    refreshLaneStatuses();
+}
+
+/** Renderer option for lane polylines (undefined → Leaflet's default SVG). */
+function getLaneRenderer() {
+    if (renderMode !== 'canvas') return undefined;
+    if (!laneCanvasRenderer) laneCanvasRenderer = L.canvas({ padding: 0.5, tolerance: 8 });
+    return laneCanvasRenderer;
+}
+
+/**
+ * Replace the direction arrows. lanes: [[lat, lng], …] per segment,
+ * in traffic order.
+ */
+function setLaneArrows(lanes) {
+    if (laneArrowLayer) map.removeLayer(laneArrowLayer);
+    _svgArrowLanes = [];
+    _svgArrowView = null;
+    if (renderMode === 'canvas') {
+        laneArrowLayer = new LaneArrowCanvasLayer(lanes);
+    } else {
+        laneArrowLayer = L.layerGroup();
+        _svgArrowLanes = lanes.map(points => ({ points, bounds: L.latLngBounds(points) }));
+    }
+    updateArrowVisibility();
+}
+
+/** SVG arrows are only on the map from ARROW_MIN_ZOOM; the canvas layer checks itself. */
+function updateArrowVisibility() {
+    if (!laneArrowLayer) return;
+    const show = renderMode === 'canvas' || map.getZoom() >= ARROW_MIN_ZOOM;
+    if (show && renderMode !== 'canvas') placeSvgArrows();
+    if (show && !map.hasLayer(laneArrowLayer)) map.addLayer(laneArrowLayer);
+    else if (!show && map.hasLayer(laneArrowLayer)) map.removeLayer(laneArrowLayer);
+}
+
+/**
+ * Place the svg arrow markers for lanes around the view, spaced for the
+ * current zoom. They are kept while the view stays inside the padded
+ * area they were placed for.
+ */
+function placeSvgArrows() {
+    const zoom = map.getZoom();
+    const view = map.getBounds();
+    if (_svgArrowView && _svgArrowView.zoom === zoom && _svgArrowView.bounds.contains(view)) return;
+
+    const bounds = view.pad(0.5);
+    const spacing = getArrowSpacingMetres();
+    laneArrowLayer.clearLayers();
+    for (const lane of _svgArrowLanes) {
+        if (bounds.intersects(lane.bounds)) addArrowMarkers(lane.points, laneArrowLayer, spacing);
+    }
+    _svgArrowView = { zoom, bounds };
+}
+
+/** Ground distance of ARROW_SPACING_PX at the map centre, in metres. */
+function getArrowSpacingMetres() {
+    const size = map.getSize();
+    const centre = map.containerPointToLatLng([size.x / 2, size.y / 2]);
+    return centre.distanceTo(map.containerPointToLatLng([size.x / 2 + ARROW_SPACING_PX, size.y / 2]));
+}
+
+/** divIcon arrows about every `spacing` metres along a segment (svg mode). */
+function addArrowMarkers(trafficPts, group, spacing) {
+    let totalLen = 0;
+    for (let k = 1; k < trafficPts.length; k++) {
+        totalLen += L.latLng(trafficPts[k - 1]).distanceTo(L.latLng(trafficPts[k]));
+    }
+    const numArrows = Math.max(1, Math.round(totalLen / spacing));
+    for (let a = 0; a < numArrows; a++) {
+        const frac = (a + 0.5) / numArrows;
+        const ptIdx = Math.min(Math.floor(frac * trafficPts.length), trafficPts.length - 1);
+        const prevIdx = Math.max(0, ptIdx - 1);
+        const nextIdx = Math.min(trafficPts.length - 1, ptIdx + 1);
+        const localBearing = bearingBetween(
+            trafficPts[prevIdx][0], trafficPts[prevIdx][1],
+            trafficPts[nextIdx][0], trafficPts[nextIdx][1]
+        );
+        const arrowIcon = L.divIcon({
+            className: 'lane-arrow-icon',
+            html: `<div style="transform:rotate(${localBearing - 90}deg)">▶</div>`,
+            iconSize: [16, 16],
+            iconAnchor: [8, 8]
+        });
+        L.marker(trafficPts[ptIdx], { icon: arrowIcon, interactive: false }).addTo(group);
+    }
+}
+
+/**
+ * Direction arrows painted on one canvas in the 'laneArrows' pane.
+ * Redrawn after every move/zoom: only lanes in view, one arrow every
+ * ARROW_SPACING_PX along each (at least one per visible lane).
+ */
+const LaneArrowCanvasLayer = L.Layer.extend({
+    initialize(lanes) {
+        this._lanes = lanes.map(points => ({ points, bounds: L.latLngBounds(points) }));
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'lane-arrow-canvas');
+        map.getPane('laneArrows').appendChild(this._canvas);
+        map.on('moveend zoomend resize', this._redraw, this);
+        map.on('zoomstart', this._hide, this);
+        this._redraw();
+    },
+
+    onRemove(map) {
+        L.DomUtil.remove(this._canvas);
+        map.off('moveend zoomend resize', this._redraw, this);
+        map.off('zoomstart', this._hide, this);
+    },
+
+    _hide() {
+        this._canvas.style.display = 'none';
+    },
+
+    _redraw() {
+        const map = this._map;
+        const canvas = this._canvas;
+        const size = map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+        canvas.width = size.x * ratio;
+        canvas.height = size.y * ratio;
+        canvas.style.width = `${size.x}px`;
+        canvas.style.height = `${size.y}px`;
+        canvas.style.display = '';
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size.x, size.y);
+        if (map.getZoom() < ARROW_MIN_ZOOM) return;
+
+        ctx.fillStyle = '#fff';
+        ctx.shadowColor = 'rgba(0,0,0,0.7)';
+        ctx.shadowBlur = 4;
+        const view = map.getBounds().pad(0.1);
+
+        for (const lane of this._lanes) {
+            if (!view.intersects(lane.bounds)) continue;
+            const pts = lane.points.map(p => map.latLngToContainerPoint(p));
+            let carry = ARROW_SPACING_PX / 2;
+            let drawn = 0;
+            let longest = null;
+            for (let i = 1; i < pts.length; i++) {
+                const a = pts[i - 1];
+                const b = pts[i];
+                const len = a.distanceTo(b);
+                if (len === 0) continue;
+                const angle = Math.atan2(b.y - a.y, b.x - a.x);
+                if (!longest || len > longest.len) longest = { a, b, len, angle };
+                for (; carry <= len; carry += ARROW_SPACING_PX) {
+                    const t = carry / len;
+                    this._drawArrow(ctx, a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, angle);
+                    drawn++;
+                }
+                carry -= len;
             }
-            const numArrows = Math.max(1, Math.round(totalLen / 120));
-            for (let a = 0; a < numArrows; a++) {
-                const frac = (a + 0.5) / numArrows;
-                const ptIdx = Math.min(Math.floor(frac * trafficPts.length), trafficPts.length - 1);
-                const prevIdx = Math.max(0, ptIdx - 1);
-                const nextIdx = Math.min(trafficPts.length - 1, ptIdx + 1);
-                const localBearing = bearingBetween(
-                    trafficPts[prevIdx][0], trafficPts[prevIdx][1],
-                    trafficPts[nextIdx][0], trafficPts[nextIdx][1]
-                );
-                const arrowIcon = L.divIcon({
-                    className: 'lane-arrow-icon',
-                    html: `<div style="transform:rotate(${localBearing - 90}deg)">▶</div>`,
-                    iconSize: [16, 16],
-                    iconAnchor: [8, 8]
-                });
-                L.marker(trafficPts[ptIdx], { icon: arrowIcon, interactive: false }).addTo(laneLayerGroup);
+            // Short lanes still get one arrow, if there's room for it
+            if (drawn === 0 && longest && longest.len >= 12) {
+                this._drawArrow(ctx, (longest.a.x + longest.b.x) / 2, (longest.a.y + longest.b.y) / 2, longest.angle);
             }
         }
-    });
+    },
 
-    // Update counters
-    document.getElementById('blockedCount').textContent = blockedCount;
-    document.getElementById('openCount').textContent = openCount;
-    document.getElementById('unknownCount').textContent = permanentCount;
-}
+    _drawArrow(ctx, x, y, angle) {
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.beginPath();
+        ctx.moveTo(5, 0);
+        ctx.lineTo(-4, -4.5);
+        ctx.lineTo(-4, 4.5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+});
 
 // ============================================================
 // Camera Rendering
@@ -801,12 +1857,15 @@ function renderCameras(cameras) {
     const icon = createCameraIcon();
 
     let activeCount = 0;
+    let shownCount = 0;
     cameras.forEach(feature => {
         const g = feature.geometry;
         if (!g || g.x === undefined || g.y === undefined) return;
+        if (!cameraMatchesFilters(feature)) return;
 
         const a = feature.attributes;
         if (a.status === 'פעיל') activeCount++;
+        shownCount++;
 
         const marker = L.marker([g.y, g.x], { icon: icon });
 
@@ -822,7 +1881,7 @@ function renderCameras(cameras) {
     const el = document.getElementById('cameraCount');
     if (el) el.textContent = activeCount;
 
-    console.log(`Rendered ${cameras.length} cameras (${activeCount} active)`);
+    console.log(`Rendered ${shownCount} of ${cameras.length} cameras (${activeCount} active)`);
 }
 
 // ============================================================
@@ -830,16 +1889,54 @@ function renderCameras(cameras) {
 // ============================================================
 
 function updateClock() {
-    const now = new Date();
-    const timeStr = now.toLocaleTimeString('he-IL', {
+    const now = getEvaluationTime();
+    const timeStr = now.toLocaleTimeString('he-IL', plannedTime ? {
+        timeZone: CONFIG.timeZone,
+        hour: '2-digit',
+        minute: '2-digit'
+    } : {
+        timeZone: CONFIG.timeZone,
         hour: '2-digit',
         minute: '2-digit',
         second: '2-digit'
     });
-    const dayStr = `יום ${HEBREW_DAYS[now.getDay()]}`;
+    const { holiday } = getDayTypeInfo(now);
+    const weekday = HEBREW_DAYS[getJerusalemParts(now).weekday];
+    let dayStr = holiday
+        ? `יום ${weekday} · ${holiday.label}`
+        : `יום ${weekday}`;
+    if (plannedTime) {
+        dayStr = `🗓️ זמן מתוכנן ${now.toLocaleDateString('he-IL', { timeZone: CONFIG.timeZone })} · ${dayStr}`;
+    }
 
     document.getElementById('clockTime').textContent = timeStr;
     document.getElementById('clockDay').textContent = dayStr;
+
+    updateSegmentCountdown();
+    updateDataAge();
+}
+
+/**
+ * Show the status countdown of the segment the user is driving on
+ * (currentSegment, live time) in the info bar.
+ */
+function updateSegmentCountdown() {
+    const el = document.getElementById('segmentCountdown');
+    if (!el) return;
+    if (!currentSegment || !currentSegment.feature) {
+        el.style.display = 'none';
+        return;
+    }
+    const feature = currentSegment.feature;
+    const status = getLaneStatus(feature, new Date());
+    const street = feature.attributes.street_name || 'לא ידוע';
+    const stateText = status.category === 'unknown' ? '⚪ ללא שעות'
+        : status.exempt ? '🟢 פטור'
+        : status.blocked ? '🔴 חסום' : '🟢 פתוח';
+    const countdown = describeNextChange(status);
+    el.textContent = countdown ? `📍 ${street}: ${stateText} · ${countdown}` : `📍 ${street}: ${stateText}`;
+    el.classList.toggle('soon', status.changingSoon);
+    el.style.display = '';
 }
 
 function startClockUpdates() {
@@ -847,274 +1944,566 @@ function startClockUpdates() {
     setInterval(updateClock, 1000);
 }
 
+// ------ Status refresh at the next transition ------
+let _statusRefreshTimer = null;
+
+function earliestDate(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return b < a ? b : a;
+}
+
 /**
- * Periodically re-evaluate lane statuses
- * (in case the time crosses an operating hour boundary)
+ * When a segment's look next changes: its next transition or schedule
+ * version, or the moment it enters the "changing soon" window.
  */
-function startStatusRefresh() {
-    setInterval(() => {
-        if (allFeatures.length > 0) {
-            renderLanes(allFeatures, new Date());
-        }
-    }, CONFIG.refreshInterval);
+function getStatusRefreshTime(status, now) {
+    if (!status.nextChange) return null;
+    if (status.versionChange) return status.nextChange;
+    const soonAt = new Date(status.nextChange.getTime() - CONFIG.changingSoonMinutes * 60000);
+    return !status.changingSoon && soonAt > now ? soonAt : status.nextChange;
 }
 
-// ============================================================
-// Camera Toggle
-// ============================================================
+/**
+ * Re-render at `nextChange` (Date) — or sooner when a temporary restriction
+ * starts, a lane popup shows a countdown, or maxRefreshInterval runs out.
+ * Planned-time mode is frozen, so nothing is scheduled.
+ */
+function scheduleStatusRefresh(nextChange) {
+    clearTimeout(_statusRefreshTimer);
+    _statusRefreshTimer = null;
+    if (plannedTime) return;
+
+    const nowMs = Date.now();
+    let at = nowMs + CONFIG.maxRefreshInterval;
+    if (nextChange) at = Math.min(at, nextChange.getTime());
+    for (const r of tempRestrictions) {
+        const start = new Date(r.start).getTime();
+        if (start > nowMs) at = Math.min(at, start);
+    }
+    const popupOpen = [...laneLayers.values()].some(e => e.polylines.some(p => p.isPopupOpen()));
+    if (popupOpen) at = Math.min(at, nowMs + 60000);
 
-function setupCameraToggle() {
-    const checkbox = document.getElementById('toggleCameras');
-    if (checkbox) {
-        checkbox.addEventListener('change', function () {
-            if (this.checked) {
-                map.addLayer(cameraLayerGroup);
-            } else {
-                map.removeLayer(cameraLayerGroup);
-            }
-        });
+    // A moment past the transition, so it evaluates on the new side
+    _statusRefreshTimer = setTimeout(refreshLaneStatuses, Math.max(1000, at - nowMs + 500));
+}
+
+function refreshLaneStatuses() {
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
     }
 }
 
+/**
+ * Keep lane statuses current: renderLanes schedules itself at the next
+ * transition; timers may be throttled in a hidden tab, so catch up when
+ * it becomes visible.
+ */
+function startStatusRefresh() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') refreshLaneStatuses();
+    });
+    refreshLaneStatuses();
+}
+
 // ============================================================
-// Camera → Segment Offline Mapping
+// Time Travel — render the map at a planned date & time
 // ============================================================
 
+let plannedTime = null;        // Date shown instead of "now", null = live
+let _plannedRenderTimer = null;
+
 /**
- * Precomputed map: camera OBJECTID → { segments: [feature, …], bidirectional: bool }
- * Built once after both bus lanes and cameras are loaded.
+ * The moment the map is evaluated at: the planned time when set,
+ * otherwise the current time. Everything simulated follows it (the map,
+ * popups, panels, the drive simulator and its alerts, so a planned
+ * drive can be rehearsed); what concerns the real car — GPS driving
+ * alerts and the info-bar countdown — always uses live time.
  */
-let cameraSegmentMap = {};  // camOBJECTID → { segments: [feature…], bidirectional: bool }
+function getEvaluationTime() {
+    return plannedTime ? new Date(plannedTime.getTime()) : new Date();
+}
 
 /**
- * Build offline index mapping each camera to its bus-lane segment(s).
- *
- * Algorithm per camera:
- *  1. Match camera street (t_rechov1) to bus-lane street_name
- *     (using normalizeStreet + STREET_ALIASES).
- *  2. Find all segments of that street within 60 m of the camera.
- *  3a. If only one-way segments found → assign to the closest one.
- *  3b. If two opposing-direction segments found AND camera has a
- *      house number (ms_bayit1) → pick the side whose polyline is
- *      closer to the "house-number side" of the street
- *      (even → left side of ascending direction, odd → right side).
- *  3c. If no house number AND the two segments are < 10 m apart at
- *      the camera location → assign camera to BOTH (bidirectional).
- *  4. Cameras with no street match are left unmapped.
- */
-function buildCameraSegmentIndex() {
-    cameraSegmentMap = {};
-    if (allFeatures.length === 0 || allCameras.length === 0) return;
-
-    // Pre-group bus-lane features by normalised street name
-    const lanesByStreet = {};
-    for (const f of allFeatures) {
-        const sn = f.attributes.street_name;
-        if (!sn) continue;
-        const norm = normalizeStreet(sn);
-        const aliased = STREET_ALIASES[norm] || norm;
-        lanesByStreet[norm] = lanesByStreet[norm] || [];
-        lanesByStreet[norm].push(f);
-        if (aliased !== norm) {
-            lanesByStreet[aliased] = lanesByStreet[aliased] || [];
-            lanesByStreet[aliased].push(f);
-        }
+ * Switch to a planned moment (Date) or back to live (null),
+ * then re-render lanes, counters, popups and the clock.
+ */
+function setPlannedTime(date) {
+    plannedTime = date;
+    document.getElementById('infoBar').classList.toggle('planned-mode', !!date);
+    updateClock();
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
     }
+    if (simActive) renderSimRouteList();
+}
 
-    const CAM_SNAP_RADIUS = 60;  // metres
-
-    for (const cam of allCameras) {
-        const a = cam.attributes;
-        const g = cam.geometry;
-        if (!g || g.x === undefined || g.y === undefined) continue;
-
-        const camPos = L.latLng(g.y, g.x);
-        const camStreet = normalizeStreet(a.t_rechov1 || '');
-        if (!camStreet) continue;
-
-        // Find matching bus-lane street (direct or via alias)
-        const aliased = STREET_ALIASES[camStreet] || camStreet;
-        let candidates = lanesByStreet[camStreet] || lanesByStreet[aliased] || [];
-
-        // Also try reverse alias lookup
-        if (candidates.length === 0) {
-            for (const [gisName, schedName] of Object.entries(STREET_ALIASES)) {
-                if (schedName === camStreet || schedName === aliased) {
-                    candidates = lanesByStreet[gisName] || [];
-                    if (candidates.length > 0) break;
-                }
-            }
-        }
+/** Read the date input + minute slider into a Date (Jerusalem time). */
+function readPlannedTimeInputs() {
+    const dateVal = document.getElementById('plannedDate').value;
+    const minutes = parseInt(document.getElementById('plannedSlider').value) || 0;
+    if (!dateVal) return null;
+    const [y, m, d] = dateVal.split('-').map(Number);
+    return jerusalemDate(y, m, d, Math.floor(minutes / 60), minutes % 60);
+}
 
-        if (candidates.length === 0) continue;
+/** Fill the date input + slider from a Date (Jerusalem time). */
+function writePlannedTimeInputs(date) {
+    const p = getJerusalemParts(date);
+    const y = p.year;
+    const m = String(p.month).padStart(2, '0');
+    const d = String(p.day).padStart(2, '0');
+    const minutes = p.hour * 60 + p.minute;
+    document.getElementById('plannedDate').value = `${y}-${m}-${d}`;
+    document.getElementById('plannedSlider').value = minutes - (minutes % 5);
+    document.getElementById('plannedTimeLabel').textContent = formatHour(minutes / 60);
+}
 
-        // Find segments within snap radius, sorted by distance
-        const nearby = [];
-        for (const f of candidates) {
-            if (!f.geometry || !f.geometry.paths) continue;
-            const dist = distanceToPolyline(camPos, f.geometry.paths);
-            if (dist < CAM_SNAP_RADIUS) {
-                nearby.push({ feature: f, dist });
-            }
-        }
-        if (nearby.length === 0) continue;
-        nearby.sort((a, b) => a.dist - b.dist);
-
-        // Classify: how many distinct directions?
-        const dirGroups = {};  // direction → [{ feature, dist }]
-        for (const n of nearby) {
-            const dir = n.feature.attributes.direction_name || 'none';
-            dirGroups[dir] = dirGroups[dir] || [];
-            dirGroups[dir].push(n);
-        }
-        const distinctDirs = Object.keys(dirGroups).filter(d => d !== 'none');
-
-        let assignedSegments = [];
-        let bidirectional = false;
-
-        if (nearby.length === 1 || distinctDirs.length <= 1) {
-            // Single segment or all same direction → assign closest
-            assignedSegments = [nearby[0].feature];
-        } else if (distinctDirs.length >= 2) {
-            // Two or more opposing directions
-            const houseNum = parseInt(a.ms_bayit1);
-
-            if (houseNum > 0) {
-                // Use house number to pick side.
-                // Concept: for a N-bound segment, even numbers are on the west (left)
-                // and odd on the east (right) — or vice-versa depending on the city.
-                // We use a geometric approach: offset the camera position slightly
-                // perpendicular to each segment and see which is closer.
-                const isEven = houseNum % 2 === 0;
-
-                // Pick the two closest segments from different directions
-                const seg1 = nearby[0];
-                let seg2 = nearby.find(n =>
-                    (n.feature.attributes.direction_name || 'none') !==
-                    (seg1.feature.attributes.direction_name || 'none')
-                );
-
-                if (seg2) {
-                    // The camera is physically closer to one side — the house number
-                    // tells us which side it's mounted on. Use the closest segment
-                    // that matches the camera's physical position.
-                    // Simpler heuristic: even house numbers → pick westernmost/southernmost
-                    // segment, odd → easternmost/northernmost. But since the camera
-                    // position IS on one side, just pick the nearest segment.
-                    // The house number mainly confirms the side, so nearest is correct.
-                    if (Math.abs(seg1.dist - seg2.dist) < 3) {
-                        // Too close to tell — use house number parity
-                        // In Tel Aviv convention: even numbers on ascending side
-                        const dir1 = seg1.feature.attributes.direction_name || '';
-                        const ascendingDirs = ['N', 'NE', 'E'];
-                        const isDir1Ascending = ascendingDirs.includes(dir1);
-                        if (isEven === isDir1Ascending) {
-                            assignedSegments = [seg1.feature];
-                        } else {
-                            assignedSegments = [seg2.feature];
-                        }
-                    } else {
-                        // Clear distance difference — nearest segment is the correct side
-                        assignedSegments = [seg1.feature];
-                    }
-                } else {
-                    assignedSegments = [seg1.feature];
-                }
-            } else {
-                // No house number — check distance between opposing segments
-                const seg1 = nearby[0];
-                const seg2 = nearby.find(n =>
-                    (n.feature.attributes.direction_name || 'none') !==
-                    (seg1.feature.attributes.direction_name || 'none')
-                );
-
-                if (seg2 && Math.abs(seg1.dist - seg2.dist) < 10) {
-                    // Less than 10m apart — assign to both (bidirectional)
-                    assignedSegments = [seg1.feature, seg2.feature];
-                    bidirectional = true;
-                } else {
-                    // One is clearly closer
-                    assignedSegments = [seg1.feature];
-                }
-            }
-        }
+function setupTimeTravel() {
+    const btnToggle = document.getElementById('btnTimeTravel');
+    const controls = document.getElementById('timeTravelControls');
+    const dateInput = document.getElementById('plannedDate');
+    const slider = document.getElementById('plannedSlider');
+    const label = document.getElementById('plannedTimeLabel');
+    const btnLive = document.getElementById('btnBackToLive');
+    if (!btnToggle || !controls) return;
+
+    btnToggle.addEventListener('click', () => {
+        const opening = !controls.classList.contains('open');
+        controls.classList.toggle('open', opening);
+        if (opening) writePlannedTimeInputs(getEvaluationTime());
+    });
 
-        if (assignedSegments.length > 0) {
-            cameraSegmentMap[a.OBJECTID] = {
-                segments: assignedSegments,
-                bidirectional: bidirectional
-            };
-        }
-    }
+    // Slider drags fire many events — update the label live,
+    // re-render the map only once the user pauses.
+    const onChange = () => {
+        label.textContent = formatHour((parseInt(slider.value) || 0) / 60);
+        clearTimeout(_plannedRenderTimer);
+        _plannedRenderTimer = setTimeout(() => {
+            const date = readPlannedTimeInputs();
+            if (date) setPlannedTime(date);
+        }, 150);
+    };
+    slider.addEventListener('input', onChange);
+    dateInput.addEventListener('change', onChange);
 
-    // Log stats
-    const mapped = Object.keys(cameraSegmentMap).length;
-    const bidir = Object.values(cameraSegmentMap).filter(v => v.bidirectional).length;
-    console.log(`📷 Camera-segment index: ${mapped} mapped (${bidir} bidirectional), ${allCameras.length - mapped} unmapped`);
+    btnLive.addEventListener('click', () => {
+        clearTimeout(_plannedRenderTimer);
+        controls.classList.remove('open');
+        setPlannedTime(null);
+    });
 }
 
 // ============================================================
-// GPS Tracking, Proximity Detection, Voice Alerts
+// Vehicle Profiles — bus-lane exemptions per vehicle type
 // ============================================================
 
-// ------ GPS State ------
-let gpsWatchId = null;
-let gpsActive = false;
-let userMarker = null;
-let userAccuracyCircle = null;
-let userLatLng = null;
-let followMode = false; // auto-center on user
-
-// ------ Voice State ------
-let voiceEnabled = false;
-const ALERT_COOLDOWN_MS = 300000;    // 5 minutes between repeated alerts for same key
-let alertCooldowns = {};             // key → timestamp of last alert
-let currentSegment = null;           // the feature (segment) the user is currently driving on
-
-// ------ Driving Mode State ------
-let drivingMode = false;
-
-// ------ GPS Low-Pass Filter & Heading State ------
-const GPS_LP_ALPHA = 0.35;          // EMA smoothing factor (0<α<1, lower = smoother)
-const GPS_MIN_SPEED_FOR_HEADING = 1.5;  // m/s (~5.4 km/h) — below this, keep last heading
-const GPS_MIN_MOVE_METERS = 3;      // ignore jitter smaller than this
-let filteredLat = null;
-let filteredLng = null;
-let filteredSpeed = 0;               // m/s, smoothed
-let filteredBearing = null;          // degrees 0-360, smoothed
-let lastFilteredTime = 0;            // timestamp of last accepted filtered position
-let prevFilteredLat = null;          // previous filtered position for speed calc
-let prevFilteredLng = null;
-let currentHeading = null;           // final heading used for car icon
+const VEHICLE_PROFILE_KEY = 'tlv_bus_lane_vehicle_profile';
 
 /**
- * Start watching GPS position
+ * Exemption rules, matched against the GIS type_of_nataz text:
+ *   all:         exempt on every lane (unless exceptTypes matches)
+ *   onlyTypes:   exempt only on lanes whose type contains one of these
+ *   exceptTypes: never exempt on lanes whose type contains one of these
  */
-function startGps() {
-    if (!navigator.geolocation) {
-        alert('הדפדפן לא תומך ב-GPS');
-        return;
+const VEHICLE_PROFILES = {
+    private:    { label: 'רכב פרטי', icon: '🚗', exemption: null },
+    taxi:       { label: 'מונית', icon: '🚕', exemption: { all: true, exceptTypes: ['אוטובוס בלבד', 'אוטובוסים בלבד'] } },
+    motorcycle: { label: 'אופנוע', icon: '🏍️', exemption: { onlyTypes: ['אופנוע'] } },
+    permit:     { label: 'רכב עם היתר עירוני', icon: '🪪', exemption: { all: true } }
+};
+
+let vehicleProfileId = loadVehicleProfileId();
+
+function loadVehicleProfileId() {
+    try {
+        const id = localStorage.getItem(VEHICLE_PROFILE_KEY);
+        return VEHICLE_PROFILES[id] ? id : 'private';
+    } catch (e) {
+        return 'private';
     }
+}
 
-    gpsActive = true;
-    followMode = true;
-    updateGpsButton();
+function getVehicleProfile() {
+    return VEHICLE_PROFILES[vehicleProfileId] || VEHICLE_PROFILES.private;
+}
 
-    gpsWatchId = navigator.geolocation.watchPosition(
-        onGpsPosition,
-        onGpsError,
-        {
-            enableHighAccuracy: true,
-            maximumAge: 3000,
-            timeout: 15000
-        }
-    );
+/**
+ * Is a vehicle profile exempt from the restriction on this lane?
+ */
+function isProfileExempt(profile, feature) {
+    const rule = profile.exemption;
+    if (!rule) return false;
+    const type = feature.attributes.type_of_nataz || '';
+    if (rule.exceptTypes && rule.exceptTypes.some(t => type.includes(t))) return false;
+    if (rule.onlyTypes) return rule.onlyTypes.some(t => type.includes(t));
+    return !!rule.all;
 }
 
 /**
- * Stop watching GPS
+ * Turn a private-vehicle status into the selected profile's status.
+ * Exempt lanes are open for the whole period, so they have no countdown.
  */
-function stopGps() {
+function applyVehicleProfile(status, feature) {
+    const profile = getVehicleProfile();
+    // A closed road is closed to every vehicle
+    if (!status.blocked || status.category === 'closed' || !isProfileExempt(profile, feature)) {
+        return { ...status, exempt: false };
+    }
+    return {
+        ...status,
+        blocked: false,
+        exempt: true,
+        category: 'exempt',
+        reason: `${status.reason} · ${profile.icon} פטור ל${profile.label}`,
+        nextChange: null,
+        minutesToChange: null,
+        changingSoon: false
+    };
+}
+
+function setVehicleProfile(id) {
+    if (!VEHICLE_PROFILES[id]) return;
+    vehicleProfileId = id;
+    try { localStorage.setItem(VEHICLE_PROFILE_KEY, id); }
+    catch (e) { console.warn('Could not save vehicle profile:', e); }
+    updateClock();
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
+    }
+    if (simActive) renderSimRouteList();
+}
+
+function setupVehicleProfile() {
+    const select = document.getElementById('vehicleProfile');
+    if (!select) return;
+    select.innerHTML = Object.entries(VEHICLE_PROFILES)
+        .map(([id, p]) => `<option value="${id}">${p.icon} ${p.label}</option>`)
+        .join('');
+    select.value = vehicleProfileId;
+    select.addEventListener('change', () => setVehicleProfile(select.value));
+}
+
+// ============================================================
+// Map Filters — which segments and cameras are drawn
+// ============================================================
+//
+// Filters only change what the map and its counters show; driving
+// alerts, the simulator and the panels still see every segment.
+
+const LANE_FILTERS_KEY = 'tlv_bus_lane_filters';
+
+const LANE_FILTER_CATEGORIES = {
+    blocked: { icon: '🔴', text: 'חסום' },
+    open: { icon: '🟢', text: 'פתוח' },
+    unknown: { icon: '⚪', text: 'ללא מידע' }
+};
+
+const CAMERA_FILTER_STATUSES = {
+    active: { icon: '🟢', text: 'פעילות' },
+    inactive: { icon: '🔴', text: 'לא פעילות' }
+};
+
+const DEFAULT_LANE_FILTERS = {
+    categories: Object.keys(LANE_FILTER_CATEGORIES),
+    verifiedOnly: false,   // only segments whose hours come from a decoded sign
+    types: [],             // type_of_nataz values; empty = all
+    directions: [],        // direction_name values ('' = none); empty = all
+    street: '',
+    cameras: Object.keys(CAMERA_FILTER_STATUSES)
+};
+
+let laneFilters = loadLaneFilters();
+let _filterStreetTimer = null;
+let _filterOptions = [];   // checkboxes of the open panel → { key, value }
+
+function loadLaneFilters() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LANE_FILTERS_KEY) || '{}');
+        const list = (value, fallback) => Array.isArray(value) ? value.map(String) : fallback.slice();
+        return {
+            categories: list(saved.categories, DEFAULT_LANE_FILTERS.categories),
+            verifiedOnly: saved.verifiedOnly === true,
+            types: list(saved.types, DEFAULT_LANE_FILTERS.types),
+            directions: list(saved.directions, DEFAULT_LANE_FILTERS.directions),
+            street: typeof saved.street === 'string' ? saved.street : '',
+            cameras: list(saved.cameras, DEFAULT_LANE_FILTERS.cameras)
+        };
+    } catch (e) {
+        console.warn('Could not read map filters:', e);
+        return JSON.parse(JSON.stringify(DEFAULT_LANE_FILTERS));
+    }
+}
+
+function saveLaneFilters() {
+    try { localStorage.setItem(LANE_FILTERS_KEY, JSON.stringify(laneFilters)); }
+    catch (e) { console.warn('Could not save map filters:', e); }
+}
+
+/** Number of filters that hide something. */
+function countActiveLaneFilters() {
+    const f = laneFilters;
+    return (f.categories.length < Object.keys(LANE_FILTER_CATEGORIES).length ? 1 : 0) +
+        (f.verifiedOnly ? 1 : 0) +
+        (f.types.length > 0 ? 1 : 0) +
+        (f.directions.length > 0 ? 1 : 0) +
+        (f.street.trim() ? 1 : 0) +
+        (f.cameras.length < Object.keys(CAMERA_FILTER_STATUSES).length ? 1 : 0);
+}
+
+/** The info-bar counter a status belongs to: 'blocked', 'open' or 'unknown'. */
+function getLaneCountCategory(status) {
+    if (status.category === 'unknown') return 'unknown';
+    return status.blocked ? 'blocked' : 'open';
+}
+
+/** A street name contains the searched text (after normalizeStreet), or is the same street. */
+function streetMatchesQuery(name, query) {
+    const q = normalizeStreet(query || '');
+    if (!q) return true;
+    if (!name) return false;
+    return normalizeStreet(name).includes(q) || isSameStreet(name, query);
+}
+
+function laneMatchesFilters(feature, status) {
+    const f = laneFilters;
+    const a = feature.attributes;
+    if (!f.categories.includes(getLaneCountCategory(status))) return false;
+    if (f.verifiedOnly && !status.signOverride) return false;
+    if (f.types.length > 0 && !f.types.includes(a.type_of_nataz || '')) return false;
+    if (f.directions.length > 0 && !f.directions.includes(a.direction_name || '')) return false;
+    return streetMatchesQuery(a.street_name, f.street);
+}
+
+function cameraMatchesFilters(camera) {
+    const a = camera.attributes;
+    if (!laneFilters.cameras.includes(a.status === 'פעיל' ? 'active' : 'inactive')) return false;
+    return streetMatchesQuery(a.t_rechov1, laneFilters.street);
+}
+
+/** Add or remove a panel checkbox's value from its list filter (categories, types, directions, cameras). */
+function toggleLaneFilterOption(index, checked) {
+    const option = _filterOptions[index];
+    if (!option) return;
+    const list = laneFilters[option.key].filter(v => v !== option.value);
+    if (checked) list.push(option.value);
+    laneFilters[option.key] = list;
+    onLaneFiltersChanged();
+}
+
+function setVerifiedOnlyFilter(checked) {
+    laneFilters.verifiedOnly = checked;
+    onLaneFiltersChanged();
+}
+
+/** Street search, applied once typing pauses. */
+function setStreetFilter(text) {
+    laneFilters.street = text;
+    clearTimeout(_filterStreetTimer);
+    _filterStreetTimer = setTimeout(() => onLaneFiltersChanged(false), 250);
+}
+
+function resetLaneFilters() {
+    laneFilters = JSON.parse(JSON.stringify(DEFAULT_LANE_FILTERS));
+    onLaneFiltersChanged();
+}
+
+/** Save, redraw the map and counters; rerenderPanel=false keeps the search box focused. */
+function onLaneFiltersChanged(rerenderPanel = true) {
+    saveLaneFilters();
+    updateFiltersButton();
+    refreshLaneStatuses();
+    renderCameras(allCameras);
+    if (rerenderPanel && isFiltersPanelOpen()) renderFiltersPanel();
+}
+
+function updateFiltersButton() {
+    const btn = document.getElementById('btnFilters');
+    if (!btn) return;
+    const active = countActiveLaneFilters();
+    btn.classList.toggle('active', active > 0);
+    if (active > 0) btn.setAttribute('data-count', active);
+    else btn.removeAttribute('data-count');
+}
+
+function isFiltersPanelOpen() {
+    const panel = document.getElementById('filtersPanel');
+    return !!panel && panel.classList.contains('open');
+}
+
+function toggleFiltersPanel() {
+    if (isFiltersPanelOpen()) {
+        closeFiltersPanel();
+        return;
+    }
+    closeReportsPanel();
+    closeTimetablePanel();
+    closeMatchInspector();
+    closeQualityPanel();
+    closeRestrictionsPanel();
+    closeChangesPanel();
+    document.getElementById('filtersPanel').classList.add('open');
+    renderFiltersPanel();
+}
+
+function closeFiltersPanel() {
+    const panel = document.getElementById('filtersPanel');
+    if (panel) panel.classList.remove('open');
+}
+
+function renderFiltersPanel() {
+    const container = document.getElementById('filtersContent');
+    const f = laneFilters;
+    const esc = text => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    _filterOptions = [];
+    const checkbox = (key, value, label, checked) => {
+        _filterOptions.push({ key, value });
+        return `<label class="filter-option">
+            <input type="checkbox" ${checked ? 'checked' : ''} onchange="toggleLaneFilterOption(${_filterOptions.length - 1}, this.checked)">
+            ${label}
+        </label>`;
+    };
+    // Values present in the data, plus any still selected from an earlier session
+    const distinct = (field, selected) => [...new Set([
+        ...allFeatures.map(feature => feature.attributes[field] || ''),
+        ...selected
+    ])].sort((x, y) => x.localeCompare(y, 'he'));
+
+    const categoryRows = Object.entries(LANE_FILTER_CATEGORIES)
+        .map(([id, c]) => checkbox('categories', id, `${c.icon} ${c.text}`, f.categories.includes(id))).join('');
+    const typeRows = distinct('type_of_nataz', f.types)
+        .map(type => checkbox('types', type, esc(type || 'לא צוין'), f.types.includes(type))).join('');
+    const directionRows = distinct('direction_name', f.directions)
+        .map(dir => checkbox('directions', dir, esc(DIRECTION_TEXT[dir] || dir || 'דו-כיווני / לא צוין'), f.directions.includes(dir))).join('');
+    const cameraRows = Object.entries(CAMERA_FILTER_STATUSES)
+        .map(([id, c]) => checkbox('cameras', id, `${c.icon} ${c.text}`, f.cameras.includes(id))).join('');
+
+    container.innerHTML = `
+        <div class="dq-title">חיפוש רחוב</div>
+        <input type="search" class="filter-street" placeholder="שם רחוב (גם חלקי)" value="${esc(f.street)}"
+            oninput="setStreetFilter(this.value)">
+        <div class="dq-title">סטטוס נתיב</div>
+        <div class="filter-group">${categoryRows}</div>
+        <label class="filter-option">
+            <input type="checkbox" ${f.verifiedOnly ? 'checked' : ''} onchange="setVerifiedOnlyFilter(this.checked)">
+            🪧✅ רק קטעים שאומתו לפי שלט
+        </label>
+        <div class="dq-title">סוג נת"צ <span class="dq-note">(ללא סימון = הכול)</span></div>
+        <div class="filter-group">${typeRows || '<span class="dq-note">אין נתונים</span>'}</div>
+        <div class="dq-title">כיוון <span class="dq-note">(ללא סימון = הכול)</span></div>
+        <div class="filter-group">${directionRows || '<span class="dq-note">אין נתונים</span>'}</div>
+        <div class="dq-title">מצלמות</div>
+        <div class="filter-group">${cameraRows}</div>
+    `;
+}
+
+// ============================================================
+// Camera Toggle
+// ============================================================
+
+function setupCameraToggle() {
+    const checkbox = document.getElementById('toggleCameras');
+    if (checkbox) {
+        checkbox.addEventListener('change', function () {
+            if (this.checked) {
+                map.addLayer(cameraLayerGroup);
+            } else {
+                map.removeLayer(cameraLayerGroup);
+            }
+        });
+    }
+}
+
+// ============================================================
+// Camera → Segment Offline Mapping
+// ============================================================
+
+/**
+ * Precomputed map: camera OBJECTID → { segments: [feature, …], bidirectional: bool }
+ * Built once after both bus lanes and cameras are loaded.
+ */
+let cameraSegmentMap = {};  // camOBJECTID → { segments: [feature…], bidirectional: bool }
+
+/**
+ * Install a map computed by computeCameraSegmentMap (preprocess.js),
+ * turning segment oids back into the features on the map.
+ */
+function applyCameraSegmentMap(byOid) {
+    const featureByOid = new Map(allFeatures.map(f => [f.attributes.oid, f]));
+    cameraSegmentMap = {};
+    for (const [camId, entry] of Object.entries(byOid || {})) {
+        const segments = entry.segments.map(oid => featureByOid.get(oid)).filter(Boolean);
+        if (segments.length > 0) cameraSegmentMap[camId] = { segments, bidirectional: entry.bidirectional };
+    }
+
+    // Log stats
+    const mapped = Object.keys(cameraSegmentMap).length;
+    const bidir = Object.values(cameraSegmentMap).filter(v => v.bidirectional).length;
+    console.log(`📷 Camera-segment index: ${mapped} mapped (${bidir} bidirectional), ${allCameras.length - mapped} unmapped`);
+}
+
+// ============================================================
+// GPS Tracking, Proximity Detection, Voice Alerts
+// ============================================================
+
+// ------ GPS State ------
+let gpsWatchId = null;
+let gpsActive = false;
+let userMarker = null;
+let userAccuracyCircle = null;
+let userLatLng = null;
+let followMode = false; // auto-center on user
+
+// ------ Voice State ------
+let voiceEnabled = false;
+const ALERT_COOLDOWN_MS = 300000;    // 5 minutes between repeated alerts for same key
+let alertCooldowns = {};             // key → timestamp of last alert
+let currentSegment = null;           // the feature (segment) the user is currently driving on
+
+// ------ Driving Mode State ------
+let drivingMode = false;
+
+// ------ GPS Low-Pass Filter & Heading State ------
+const GPS_LP_ALPHA = 0.35;          // EMA smoothing factor (0<α<1, lower = smoother)
+const GPS_MIN_SPEED_FOR_HEADING = 1.5;  // m/s (~5.4 km/h) — below this, keep last heading
+const GPS_MIN_MOVE_METERS = 3;      // ignore jitter smaller than this
+let filteredLat = null;
+let filteredLng = null;
+let filteredSpeed = 0;               // m/s, smoothed
+let filteredBearing = null;          // degrees 0-360, smoothed
+let lastFilteredTime = 0;            // timestamp of last accepted filtered position
+let prevFilteredLat = null;          // previous filtered position for speed calc
+let prevFilteredLng = null;
+let currentHeading = null;           // final heading used for car icon
+
+/**
+ * Start watching GPS position
+ */
+function startGps() {
+    if (!navigator.geolocation) {
+        alert('הדפדפן לא תומך ב-GPS');
+        return;
+    }
+
+    gpsActive = true;
+    followMode = true;
+    updateGpsButton();
+
+    gpsWatchId = navigator.geolocation.watchPosition(
+        onGpsPosition,
+        onGpsError,
+        {
+            enableHighAccuracy: true,
+            maximumAge: 3000,
+            timeout: 15000
+        }
+    );
+}
+
+/**
+ * Stop watching GPS
+ */
+function stopGps() {
     if (gpsWatchId !== null) {
         navigator.geolocation.clearWatch(gpsWatchId);
         gpsWatchId = null;
@@ -1338,26 +2727,14 @@ function bearingBetween(lat1, lng1, lat2, lng2) {
 function findNearestLaneDirection(userPos) {
     if (allFeatures.length === 0) return null;
 
-    let minDist = Infinity;
-    let nearestDir = null;
-
-    for (const feature of allFeatures) {
-        if (!feature.geometry || !feature.geometry.paths) continue;
-        const dir = feature.attributes.direction_name;
-        if (!dir) continue; // skip if no direction (two-way or unknown)
-
-        const dist = distanceToPolyline(userPos, feature.geometry.paths);
-        if (dist < minDist && dist < 30) { // within 30m
-            minDist = dist;
-            // Map direction to bearing degrees (cardinal + diagonal every 45°)
-            const dirMap = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
-            if (dirMap[dir] !== undefined) {
-                nearestDir = dirMap[dir];
-            }
-        }
-    }
+    // Skip segments with no direction (two-way or unknown); within 30m
+    const nearest = findNearestSegment(userPos, 30, f => !!f.attributes.direction_name);
+    if (!nearest) return null;
 
-    return nearestDir;
+    // Map direction to bearing degrees (cardinal + diagonal every 45°)
+    const dirMap = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+    const dir = nearest.feature.attributes.direction_name;
+    return dirMap[dir] !== undefined ? dirMap[dir] : null;
 }
 
 function onGpsError(err) {
@@ -1368,34 +2745,101 @@ function onGpsError(err) {
     }
 }
 
+// ============================================================
+// Segment Queries — nearest / radius lookups via the spatial index
+// ============================================================
+
+let _segmentGrid = null;
+
+/** The grid over allFeatures, rebuilt whenever the feature set is replaced. */
+function getSegmentGrid() {
+    if (!_segmentGrid || _segmentGrid.features !== allFeatures) {
+        _segmentGrid = createSegmentGrid(allFeatures);
+    }
+    return _segmentGrid;
+}
+
 /**
- * Calculate minimum distance from a point to a polyline in meters
+ * Segments closer than `radius` metres to a point, nearest first.
+ * filter(feature) → boolean narrows the candidates (optional).
+ * Returns: [{ feature, dist }]
  */
-function distanceToPolyline(point, paths) {
-    let minDist = Infinity;
-    for (const path of paths) {
-        for (let i = 0; i < path.length - 1; i++) {
-            const a = L.latLng(path[i][1], path[i][0]); // ArcGIS [lng, lat]
-            const b = L.latLng(path[i + 1][1], path[i + 1][0]);
-            const dist = distPointToSegment(point, a, b);
-            if (dist < minDist) minDist = dist;
-        }
+function findSegmentsWithin(point, radius, filter) {
+    const result = [];
+    for (const feature of segmentGridCandidates(getSegmentGrid(), point.lat, point.lng, radius)) {
+        if (filter && !filter(feature)) continue;
+        const dist = distanceToPolyline(point, feature.geometry.paths);
+        if (dist < radius) result.push({ feature, dist });
+    }
+    return result.sort((a, b) => a.dist - b.dist);
+}
+
+/**
+ * The nearest segment closer than `maxDist` metres, or null.
+ * Returns: { feature, dist }
+ */
+function findNearestSegment(point, maxDist, filter) {
+    let best = null;
+    for (const feature of segmentGridCandidates(getSegmentGrid(), point.lat, point.lng, maxDist)) {
+        if (filter && !filter(feature)) continue;
+        const dist = distanceToPolyline(point, feature.geometry.paths);
+        if (dist < maxDist && (!best || dist < best.dist)) best = { feature, dist };
     }
-    return minDist;
+    return best;
 }
 
 /**
- * Distance from point P to line segment AB in meters
+ * Compare findNearestSegment with a scan of every feature at random
+ * points around the lanes. Run from the console: benchmarkSegmentIndex()
+ * Returns: { samples, features, cells, linearMs, indexedMs, speedup, mismatches }
  */
-function distPointToSegment(p, a, b) {
-    const dx = b.lng - a.lng;
-    const dy = b.lat - a.lat;
-    if (dx === 0 && dy === 0) return p.distanceTo(a);
+function benchmarkSegmentIndex(samples = 1000, radius = SEGMENT_MATCH_RADIUS) {
+    const grid = getSegmentGrid();
+    const withPaths = allFeatures.filter(f => f.geometry && f.geometry.paths);
+    if (withPaths.length === 0) return null;
+
+    // Points near random lane vertices, up to ~100 m off
+    const points = [];
+    for (let i = 0; i < samples; i++) {
+        const paths = withPaths[Math.floor(Math.random() * withPaths.length)].geometry.paths;
+        const path = paths[Math.floor(Math.random() * paths.length)];
+        const pt = path[Math.floor(Math.random() * path.length)];
+        points.push(L.latLng(pt[1] + (Math.random() - 0.5) * 0.0018, pt[0] + (Math.random() - 0.5) * 0.0018));
+    }
+
+    const linearNearest = point => {
+        let best = null;
+        for (const feature of withPaths) {
+            const dist = distanceToPolyline(point, feature.geometry.paths);
+            if (dist < radius && (!best || dist < best.dist)) best = { feature, dist };
+        }
+        return best;
+    };
 
-    let t = ((p.lng - a.lng) * dx + (p.lat - a.lat) * dy) / (dx * dx + dy * dy);
-    t = Math.max(0, Math.min(1, t));
-    const closest = L.latLng(a.lat + t * dy, a.lng + t * dx);
-    return p.distanceTo(closest);
+    let t0 = performance.now();
+    const linear = points.map(linearNearest);
+    const linearMs = performance.now() - t0;
+
+    t0 = performance.now();
+    const indexed = points.map(point => findNearestSegment(point, radius));
+    const indexedMs = performance.now() - t0;
+
+    // Equal distances may pick a different segment — compare distances
+    const mismatches = linear.filter((r, i) =>
+        !r !== !indexed[i] || (r && Math.abs(r.dist - indexed[i].dist) > 1e-6)).length;
+
+    const result = {
+        samples,
+        features: grid.count,
+        cells: grid.cells.size,
+        linearMs: Math.round(linearMs * 10) / 10,
+        indexedMs: Math.round(indexedMs * 10) / 10,
+        speedup: Math.round(linearMs / Math.max(indexedMs, 0.01) * 10) / 10,
+        mismatches
+    };
+    console.log(`⏱️ Segment index: ${result.linearMs} ms linear vs ${result.indexedMs} ms indexed ` +
+        `for ${samples} lookups (×${result.speedup}, ${mismatches} mismatches)`);
+    return result;
 }
 
 /**
@@ -1417,6 +2861,7 @@ const CAMERA_ALERT_RADIUS  = 100;  // metres — trigger camera alert within thi
 
 /**
  * Main alert entry-point — called every GPS tick when voice is enabled.
+ * The car is really driving, so statuses are evaluated at live time.
  */
 function checkDrivingAlerts(userPos) {
     if (allFeatures.length === 0) return;
@@ -1443,6 +2888,8 @@ function checkDrivingAlerts(userPos) {
     }
 
     // ---- Alert 1b: open bus lane (one alert per street name) ----
+    // Vehicles exempt from this lane get no lane or camera alerts at all
+    if (status.exempt) return;
     if (!status.blocked) {
         const key = 'lane_open_' + street;
         if (!alertCooldowns[key] || (nowMs - alertCooldowns[key]) >= ALERT_COOLDOWN_MS) {
@@ -1501,18 +2948,10 @@ function checkDrivingAlerts(userPos) {
  *   (for two-way segments this is derived from filteredBearing).
  */
 function findCurrentSegment(userPos) {
-    let best = null;
-    let bestDist = Infinity;
-
-    for (const feature of allFeatures) {
-        if (!feature.geometry || !feature.geometry.paths) continue;
-        const dist = distanceToPolyline(userPos, feature.geometry.paths);
-        if (dist < bestDist && dist < SEGMENT_MATCH_RADIUS) {
-            bestDist = dist;
-            best = feature;
-        }
-    }
-    if (!best) return null;
+    const nearest = findNearestSegment(userPos, SEGMENT_MATCH_RADIUS);
+    if (!nearest) return null;
+    const best = nearest.feature;
+    const bestDist = nearest.dist;
 
     const dir = best.attributes.direction_name;
     const dirMap = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
@@ -2000,6 +3439,67 @@ function setupDriveControls() {
     if (btnReports) btnReports.addEventListener('click', toggleReportsPanel);
     if (btnCloseReports) btnCloseReports.addEventListener('click', closeReportsPanel);
 
+    // Weekly timetable button
+    const btnTimetable = document.getElementById('btnTimetable');
+    const btnCloseTimetable = document.getElementById('btnCloseTimetable');
+    if (btnTimetable) btnTimetable.addEventListener('click', toggleTimetablePanel);
+    if (btnCloseTimetable) btnCloseTimetable.addEventListener('click', closeTimetablePanel);
+
+    // Data-quality panel
+    const btnQuality = document.getElementById('btnQuality');
+    const btnCloseQuality = document.getElementById('btnCloseQuality');
+    if (btnQuality) btnQuality.addEventListener('click', toggleQualityPanel);
+    if (btnCloseQuality) btnCloseQuality.addEventListener('click', closeQualityPanel);
+
+    // Map filters panel
+    const btnFilters = document.getElementById('btnFilters');
+    const btnCloseFilters = document.getElementById('btnCloseFilters');
+    const btnResetFilters = document.getElementById('btnResetFilters');
+    if (btnFilters) btnFilters.addEventListener('click', toggleFiltersPanel);
+    if (btnCloseFilters) btnCloseFilters.addEventListener('click', closeFiltersPanel);
+    if (btnResetFilters) btnResetFilters.addEventListener('click', resetLaneFilters);
+    updateFiltersButton();
+
+    // GIS changes panel
+    const btnChanges = document.getElementById('btnChanges');
+    const btnCloseChanges = document.getElementById('btnCloseChanges');
+    if (btnChanges) btnChanges.addEventListener('click', toggleChangesPanel);
+    if (btnCloseChanges) btnCloseChanges.addEventListener('click', closeChangesPanel);
+
+    // Temporary restrictions panel
+    const btnRestrictions = document.getElementById('btnRestrictions');
+    const btnCloseRestrictions = document.getElementById('btnCloseRestrictions');
+    const btnExportRestrictions = document.getElementById('btnExportRestrictions');
+    const btnImportRestrictions = document.getElementById('btnImportRestrictions');
+    const restrictionImportInput = document.getElementById('restrictionImportInput');
+    if (btnRestrictions) btnRestrictions.addEventListener('click', toggleRestrictionsPanel);
+    if (btnCloseRestrictions) btnCloseRestrictions.addEventListener('click', closeRestrictionsPanel);
+    if (btnExportRestrictions) btnExportRestrictions.addEventListener('click', exportTempRestrictions);
+    if (btnImportRestrictions && restrictionImportInput) {
+        btnImportRestrictions.addEventListener('click', () => restrictionImportInput.click());
+        restrictionImportInput.addEventListener('change', () => {
+            if (restrictionImportInput.files[0]) importTempRestrictions(restrictionImportInput.files[0]);
+            restrictionImportInput.value = '';
+        });
+    }
+
+    // Match inspector close button
+    const btnCloseInspector = document.getElementById('btnCloseInspector');
+    if (btnCloseInspector) btnCloseInspector.addEventListener('click', closeMatchInspector);
+
+    // Schedule pins import / export
+    const btnExportPins = document.getElementById('btnExportPins');
+    const btnImportPins = document.getElementById('btnImportPins');
+    const pinImportInput = document.getElementById('pinImportInput');
+    if (btnExportPins) btnExportPins.addEventListener('click', exportSchedulePins);
+    if (btnImportPins && pinImportInput) {
+        btnImportPins.addEventListener('click', () => pinImportInput.click());
+        pinImportInput.addEventListener('change', () => {
+            if (pinImportInput.files[0]) importSchedulePins(pinImportInput.files[0]);
+            pinImportInput.value = '';
+        });
+    }
+
     // Stop auto-follow when user manually pans (but not in driving mode)
     map.on('dragstart', () => {
         if (followMode && !drivingMode) followMode = false;
@@ -2169,22 +3669,11 @@ async function handlePhotoSelected(e) {
 
 function autoDetectStreet(lat, lng) {
     if (allFeatures.length === 0) return;
-    const pos = L.latLng(lat, lng);
-    let minDist = Infinity;
-    let closestStreet = '';
-    let closestOid = null;
+    const nearest = findNearestSegment(L.latLng(lat, lng), 200);
+    const closestStreet = nearest ? nearest.feature.attributes.street_name || '' : '';
+    const closestOid = nearest ? nearest.feature.attributes.oid : null;
 
-    for (const feature of allFeatures) {
-        if (!feature.geometry || !feature.geometry.paths) continue;
-        const dist = distanceToPolyline(pos, feature.geometry.paths);
-        if (dist < minDist) {
-            minDist = dist;
-            closestStreet = feature.attributes.street_name || '';
-            closestOid = feature.attributes.oid;
-        }
-    }
-
-    if (closestStreet && minDist < 200) {
+    if (closestStreet) {
         const streetInput = document.getElementById('reportStreet');
         if (!streetInput.value) {
             streetInput.value = closestStreet;
@@ -2499,6 +3988,12 @@ function toggleReportsPanel() {
     const panel = document.getElementById('reportsPanel');
     panel.classList.toggle('open');
     if (panel.classList.contains('open')) {
+        closeTimetablePanel();
+        closeMatchInspector();
+        closeQualityPanel();
+        closeRestrictionsPanel();
+        closeChangesPanel();
+        closeFiltersPanel();
         renderReportsList();
     }
 }
@@ -2511,9 +4006,10 @@ function renderReportsList() {
     const container = document.getElementById('reportsList');
     const reports = loadCommunityReports();
     console.log('📋 renderReportsList: loaded', reports.length, 'reports from localStorage');
+    const conflictsHtml = renderSignConflictsSummary();
 
     if (reports.length === 0) {
-        container.innerHTML = `
+        container.innerHTML = conflictsHtml + `
             <div class="reports-empty">
                 <div class="empty-icon">🪧</div>
                 <div>אין דיווחי שלטים עדיין</div>
@@ -2524,11 +4020,12 @@ function renderReportsList() {
 
     // Sort newest first
     const sorted = [...reports].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    container.innerHTML = sorted.map(r => renderReportCard(r)).join('');
+    container.innerHTML = conflictsHtml + sorted.map(r => renderReportCard(r)).join('');
 }
 
 function renderReportCard(report) {
     const date = new Date(report.timestamp).toLocaleString('he-IL', {
+        timeZone: CONFIG.timeZone,
         day: '2-digit', month: '2-digit', year: 'numeric',
         hour: '2-digit', minute: '2-digit'
     });
@@ -2544,13 +4041,7 @@ function renderReportCard(report) {
 
     let decodedInfo = '';
     if (report.status === 'decoded' && report.decodedHours) {
-        const h = report.decodedHours;
-        const parts = [];
-        if (h.allWeek) parts.push('כל השבוע 24/7');
-        if (h.sun_thu && h.sun_thu.length) parts.push(`א-ה: ${h.sun_thu.map(r => formatHour(r[0]) + '-' + formatHour(r[1])).join(', ')}`);
-        if (h.fri && h.fri.length) parts.push(`ו: ${h.fri.map(r => formatHour(r[0]) + '-' + formatHour(r[1])).join(', ')}`);
-        if (h.sat && h.sat.length) parts.push(`ש: ${h.sat.map(r => formatHour(r[0]) + '-' + formatHour(r[1])).join(', ')}`);
-        decodedInfo = `<div style="font-size: 12px; margin-top: 4px; padding: 4px 8px; background: #d4edda; border-radius: 6px;">🕐 ${parts.join(' | ')}</div>`;
+        decodedInfo = `<div style="font-size: 12px; margin-top: 4px; padding: 4px 8px; background: #d4edda; border-radius: 6px;">🕐 ${summarizeHours(report.decodedHours)}</div>`;
     }
 
     const cameraInfoHtml = isCameraReport
@@ -2621,99 +4112,1569 @@ function showDecodeForm(reportId) {
         `;
     }
 
-    formContainer.innerHTML = `
-        <div class="decode-form">
-            <div class="decode-help">הזן שעות הגבלה כפי שכתוב על השלט. פורמט: 07:00-22:00 (מופרד בפסיק אם יש כמה טווחים)</div>
-            <label><input type="checkbox" id="decode-allweek-${reportId}" ${allWeek}> כל ימות השבוע 24/7</label>
-            <label>א׳-ה׳:</label>
-            <input type="text" id="decode-sunth-${reportId}" value="${sunThu}" placeholder="07:00-22:00" dir="ltr">
-            <label>ו׳ / ערבי חג:</label>
-            <input type="text" id="decode-fri-${reportId}" value="${fri}" placeholder="07:00-17:00" dir="ltr">
-            <label>שבת / חג:</label>
-            <input type="text" id="decode-sat-${reportId}" value="${sat}" placeholder="" dir="ltr">
-            ${segmentHtml}
-            <div class="decode-actions">
-                <button class="report-action-btn primary" onclick="saveDecodeForm('${reportId}')">💾 שמור</button>
-                <button class="report-action-btn" onclick="cancelDecodeForm('${reportId}')">ביטול</button>
-            </div>
+    formContainer.innerHTML = `
+        <div class="decode-form">
+            <div class="decode-help">הזן שעות הגבלה כפי שכתוב על השלט. פורמט: 07:00-22:00 (מופרד בפסיק אם יש כמה טווחים)</div>
+            <label><input type="checkbox" id="decode-allweek-${reportId}" ${allWeek}> כל ימות השבוע 24/7</label>
+            <label>א׳-ה׳:</label>
+            <input type="text" id="decode-sunth-${reportId}" value="${sunThu}" placeholder="07:00-22:00" dir="ltr">
+            <label>ו׳ / ערבי חג:</label>
+            <input type="text" id="decode-fri-${reportId}" value="${fri}" placeholder="07:00-17:00" dir="ltr">
+            <label>שבת / חג:</label>
+            <input type="text" id="decode-sat-${reportId}" value="${sat}" placeholder="" dir="ltr">
+            ${segmentHtml}
+            <div class="decode-actions">
+                <button class="report-action-btn primary" onclick="saveDecodeForm('${reportId}')">💾 שמור</button>
+                <button class="report-action-btn" onclick="cancelDecodeForm('${reportId}')">ביטול</button>
+            </div>
+        </div>
+    `;
+}
+
+function cancelDecodeForm(reportId) {
+    const el = document.getElementById(`decode-form-${reportId}`);
+    if (el) el.innerHTML = '';
+}
+
+function parseTimeRanges(str) {
+    if (!str || !str.trim()) return null;
+    const ranges = [];
+    const parts = str.split(',');
+    for (const part of parts) {
+        const match = part.trim().match(/(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
+        if (match) {
+            const start = parseInt(match[1]) + parseInt(match[2]) / 60;
+            const end = parseInt(match[3]) + parseInt(match[4]) / 60;
+            ranges.push([start, end]);
+        }
+    }
+    return ranges.length > 0 ? ranges : null;
+}
+
+function saveDecodeForm(reportId) {
+    const allWeek = document.getElementById(`decode-allweek-${reportId}`).checked;
+    const sunThuStr = document.getElementById(`decode-sunth-${reportId}`).value;
+    const friStr = document.getElementById(`decode-fri-${reportId}`).value;
+    const satStr = document.getElementById(`decode-sat-${reportId}`).value;
+
+    const decodedHours = {
+        allWeek: allWeek,
+        sun_thu: allWeek ? null : parseTimeRanges(sunThuStr),
+        fri: allWeek ? null : parseTimeRanges(friStr),
+        sat: allWeek ? null : parseTimeRanges(satStr)
+    };
+
+    // Collect selected segment OIDs from decode form checkboxes
+    const segCbs = document.querySelectorAll(`.decode-seg-cb-${reportId}:checked`);
+    const featureIds = Array.from(segCbs).map(cb => parseInt(cb.value));
+
+    updateCommunityReport(reportId, {
+        status: 'decoded',
+        decodedHours: decodedHours,
+        featureIds: featureIds.length > 0 ? featureIds : null
+    });
+
+    // Re-render
+    renderReportsList();
+
+    // Re-render lanes to apply the override
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
+    }
+
+    showBanner('🪧✅ שעות השלט נשמרו — המפה עודכנה');
+}
+
+function deleteReport(reportId) {
+    if (!confirm('למחוק את הדיווח?')) return;
+    deleteCommunityReport(reportId);
+    renderReportsList();
+
+    // Re-render lanes
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
+    }
+}
+
+function zoomToReport(reportId) {
+    const reports = loadCommunityReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report || !report.lat || !report.lng) {
+        alert('אין מיקום GPS לדיווח זה');
+        return;
+    }
+    map.setView([report.lat, report.lng], 18);
+    closeReportsPanel();
+}
+
+// ============================================================
+// Sign vs Municipal Hours — conflicts between decoded signs and the table
+// ============================================================
+
+const HOURS_DAY_KEYS = ['sun_thu', 'fri', 'sat'];
+const HOURS_DAY_LABELS = { sun_thu: 'א-ה', fri: 'ו', sat: 'ש' };
+
+/**
+ * Blocked hours of one day type as sorted, merged [start, end] pieces
+ * within 0-24. Overnight ranges ([22, 6]) wrap into the same day type,
+ * which is how the table and the signs state them.
+ */
+function getDayTypePieces(hours, key) {
+    if (hours.allWeek) return [[0, 24]];
+    const pieces = [];
+    for (const [start, end] of hours[key] || []) {
+        if (start === end) continue;
+        if (end < start) {
+            pieces.push([start, 24]);
+            if (end > 0) pieces.push([0, end]);
+        } else {
+            pieces.push([start, end]);
+        }
+    }
+    pieces.sort((x, y) => x[0] - y[0]);
+    const merged = [];
+    for (const piece of pieces) {
+        const last = merged[merged.length - 1];
+        if (last && piece[0] <= last[1]) last[1] = Math.max(last[1], piece[1]);
+        else merged.push([...piece]);
+    }
+    return merged;
+}
+
+/** Pieces of `a` not covered by `b` (both sorted and merged). */
+function subtractPieces(a, b) {
+    const out = [];
+    for (const [start, end] of a) {
+        let from = start;
+        for (const [bs, be] of b) {
+            if (be <= from || bs >= end) continue;
+            if (bs > from) out.push([from, bs]);
+            from = Math.max(from, be);
+        }
+        if (from < end) out.push([from, end]);
+    }
+    return out;
+}
+
+/**
+ * Diff the municipal hours against a decoded sign, per day type.
+ * Returns: { added: { dayKey: [[start, end]] },    // blocked only on the sign
+ *            removed: { dayKey: [[start, end]] },  // blocked only in the table
+ *            changedDays: [dayKey] }
+ */
+function diffScheduleHours(municipal, sign) {
+    const diff = { added: {}, removed: {}, changedDays: [] };
+    for (const key of HOURS_DAY_KEYS) {
+        const tablePieces = getDayTypePieces(municipal, key);
+        const signPieces = getDayTypePieces(sign, key);
+        const added = subtractPieces(signPieces, tablePieces);
+        const removed = subtractPieces(tablePieces, signPieces);
+        if (added.length > 0) diff.added[key] = added;
+        if (removed.length > 0) diff.removed[key] = removed;
+        if (added.length > 0 || removed.length > 0) diff.changedDays.push(key);
+    }
+    return diff;
+}
+
+/**
+ * Does the decoded sign on this segment disagree with bus_lane_hours.js?
+ * Returns null when there is no sign or they agree, otherwise
+ * { municipal: entry|null, sign: hours, diff } — municipal is null when
+ * the table has no entry for the segment at all.
+ */
+function getSignConflict(feature, now, signOvr) {
+    if (signOvr === undefined) signOvr = typeof getSignOverride === 'function' ? getSignOverride(feature) : null;
+    if (!signOvr || !signOvr.hours) return null;
+    const municipal = findSchedule(feature, now);
+    if (!municipal) return { municipal: null, sign: signOvr.hours, diff: null };
+    const diff = diffScheduleHours(municipal, signOvr.hours);
+    return diff.changedDays.length > 0 ? { municipal, sign: signOvr.hours, diff } : null;
+}
+
+/** Readable lines for a conflict, e.g. "ו: בשלט בלבד 13:00-16:00". */
+function describeSignConflict(conflict) {
+    if (!conflict.municipal) return ['אין רשומה בטבלת העירייה – השעות ידועות רק מהשלט'];
+    const fmt = pieces => pieces.map(([start, end]) => `${formatHour(start)}-${formatHour(end)}`).join(', ');
+    return conflict.diff.changedDays.map(key => {
+        const parts = [];
+        if (conflict.diff.added[key]) parts.push(`בשלט בלבד ${fmt(conflict.diff.added[key])}`);
+        if (conflict.diff.removed[key]) parts.push(`בטבלה בלבד ${fmt(conflict.diff.removed[key])}`);
+        return `${HOURS_DAY_LABELS[key]}: ${parts.join(' · ')}`;
+    });
+}
+
+/** All segments whose decoded sign disagrees with the table: [{ feature, conflict }]. */
+function findSignConflicts(now) {
+    now = now || getEvaluationTime();
+    const conflicts = [];
+    for (const feature of allFeatures) {
+        const status = getPrivateVehicleStatus(feature, now);
+        if (status.signConflict) conflicts.push({ feature, conflict: status.signConflict });
+    }
+    return conflicts;
+}
+
+/** Conflicts block at the top of the reports panel. */
+function renderSignConflictsSummary() {
+    const conflicts = findSignConflicts();
+    if (conflicts.length === 0) return '';
+    const rows = conflicts.map(({ feature, conflict }) => {
+        const a = feature.attributes;
+        const oid = String(a.oid).replace(/'/g, "\\'");
+        return `<div class="conflict-item">
+            <div class="conflict-title">${a.street_name || 'ללא שם'}: ${a.from_street || '?'} → ${a.to_street || '?'}</div>
+            ${describeSignConflict(conflict).map(line => `<div class="conflict-line">${line}</div>`).join('')}
+            <div class="conflict-actions">
+                <button class="report-action-btn" onclick="closeReportsPanel(); highlightSegments(['${oid}'])">🗺️ הצג במפה</button>
+                <button class="report-action-btn" onclick="openMatchInspector('${oid}')">🔍 התאמה</button>
+            </div>
+        </div>`;
+    }).join('');
+    return `<div class="conflicts-box">
+        <div class="conflicts-header">⚠️ סתירות בין שלט לטבלת העירייה (${conflicts.length})</div>
+        ${rows}
+    </div>`;
+}
+
+// ============================================================
+// Weekly Timetable — 7 days × 24 hours grid per segment
+// ============================================================
+
+let timetableOid = null;   // oid of the segment shown in the timetable panel
+
+const TIMETABLE_SOURCES = {
+    municipal: { icon: '🏛️', text: 'טבלת שעות העירייה' },
+    sign: { icon: '🪧', text: 'שלט בשטח (דיווח מפוענח)' },
+    restriction: { icon: '🚧', text: 'הגבלה זמנית' },
+    unknown: { icon: '❔', text: 'לא ידוע – אין שעות לקטע זה' }
+};
+
+function findFeatureByOid(oid) {
+    return allFeatures.find(f => String(f.attributes.oid) === String(oid)) || null;
+}
+
+/**
+ * Build the weekly grid of a segment: 7 days starting on the day of
+ * `now`, 24 Jerusalem wall-clock hours each. Every cell carries the
+ * number of blocked minutes in that hour, so partial hours (07:30)
+ * and overnight ranges show up as they are really enforced.
+ * Days on which no schedule version is in force are marked unscheduled.
+ * Returns: { status, source, days: [{ date, weekday, holiday, isToday, unscheduled, cells }] }
+ */
+function buildWeeklyTimetable(feature, now) {
+    const status = getLaneStatus(feature, now);
+    // Hours underneath any temporary restriction; restrictions are laid over them
+    const base = status.restriction ? getLaneStatus(feature, new Date(status.restriction.end)) : status;
+    const source = status.restriction ? 'restriction' : base.signOverride ? 'sign' : base.category === 'unknown' ? 'unknown' : 'municipal';
+    const hours = base.schedule;
+
+    let blocked = [];
+    let unscheduledDays = null;   // Jerusalem midnights (ms) of days without hours, null = decided by source
+    if (!base.signOverride && (hours || base.category === 'unknown')) {
+        // Municipal hours can switch version (validFrom / validTo) during the week
+        const scheduled = getScheduleBlockedIntervals(feature, civilDay(now, -1), 8);
+        blocked = mergeIntervals(scheduled.intervals);
+        unscheduledDays = scheduled.unscheduledDays.map(day => day.getTime());
+    } else if (hours && hours.allWeek) {
+        blocked = [{ start: civilDay(now, -1), end: civilDay(now, 8) }];
+    } else if (hours) {
+        blocked = mergeIntervals(getBlockedIntervals(hours, civilDay(now, -1), 8));
+    }
+    blocked = applyRestrictionsToIntervals(feature, blocked);
+
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+        const date = civilDay(now, i);
+        const cells = [];
+        for (let h = 0; h < 24; h++) {
+            const start = dateAtHour(date, h);
+            const end = dateAtHour(date, h + 1);
+            let blockedMs = 0;
+            for (const iv of blocked) {
+                const overlap = Math.min(end, iv.end) - Math.max(start, iv.start);
+                if (overlap > 0) blockedMs += overlap;
+            }
+            cells.push({
+                hour: h,
+                minutes: Math.round((end - start) / 60000),
+                blockedMinutes: Math.round(blockedMs / 60000),
+                isNow: start <= now && now < end
+            });
+        }
+        days.push({
+            date,
+            weekday: getJerusalemParts(date).weekday,
+            holiday: getDayTypeInfo(date).holiday,
+            isToday: i === 0,
+            unscheduled: unscheduledDays ? unscheduledDays.includes(date.getTime()) : source === 'unknown',
+            cells
+        });
+    }
+    return { status, source, days };
+}
+
+/**
+ * HTML for the weekly grid of one segment.
+ */
+function renderWeeklyTimetable(feature, now) {
+    const a = feature.attributes;
+    const { status, source, days } = buildWeeklyTimetable(feature, now);
+    const src = TIMETABLE_SOURCES[source];
+    const signDate = status.signOverride
+        ? ` — ${new Date(status.signOverride.timestamp).toLocaleDateString('he-IL', { timeZone: CONFIG.timeZone })}`
+        : '';
+
+    let hoursHeader = '<div class="tt-corner"></div>';
+    for (let h = 0; h < 24; h++) {
+        hoursHeader += `<div class="tt-hour">${h % 3 === 0 ? h : ''}</div>`;
+    }
+
+    const rows = days.map(day => {
+        const dateStr = day.date.toLocaleDateString('he-IL', { timeZone: CONFIG.timeZone, day: 'numeric', month: 'numeric' });
+        const dayClass = ['tt-day', day.isToday ? 'today' : '', day.holiday ? 'holiday' : ''].join(' ');
+        const dayTitle = day.holiday ? ` title="${day.holiday.label}"` : '';
+        let row = `<div class="${dayClass}"${dayTitle}>${day.holiday ? '📅 ' : ''}${HEBREW_DAYS_SHORT[day.weekday]} ${dateStr}</div>`;
+
+        for (const cell of day.cells) {
+            let state = 'open';
+            let stateText = 'פתוח';
+            if (day.unscheduled) {
+                state = 'unknown';
+                stateText = 'אין מידע';
+            } else if (cell.blockedMinutes > 0 && cell.blockedMinutes >= cell.minutes) {
+                state = 'blocked';
+                stateText = 'חסום';
+            } else if (cell.blockedMinutes > 0) {
+                state = 'partial';
+                stateText = `חסום ${cell.blockedMinutes} דק׳`;
+            }
+            const title = `${HEBREW_DAYS_SHORT[day.weekday]} ${formatHour(cell.hour)}-${formatHour(cell.hour + 1)}: ${stateText}`;
+            row += `<div class="tt-cell ${state}${cell.isNow ? ' now' : ''}" title="${title}"></div>`;
+        }
+        return row;
+    }).join('');
+
+    const holidays = days.filter(d => d.holiday);
+    const holidaysHtml = holidays.length > 0
+        ? `<div class="tt-holidays">📅 ימים מיוחדים השבוע: ${holidays.map(d => `${HEBREW_DAYS_SHORT[d.weekday]} – ${d.holiday.label}`).join(' · ')}</div>`
+        : '';
+
+    return `
+        <div class="tt-title">🚌 ${a.street_name || 'ללא שם'}</div>
+        <div class="tt-subtitle">${a.from_street || '?'} → ${a.to_street || '?'}</div>
+        <div class="tt-source ${source}">${src.icon} מקור השעות: ${src.text}${signDate}</div>
+        <div class="tt-grid">${hoursHeader}${rows}</div>
+        <div class="tt-legend">
+            <span><i class="tt-cell blocked"></i> חסום</span>
+            <span><i class="tt-cell partial"></i> חסום חלקית</span>
+            <span><i class="tt-cell open"></i> פתוח</span>
+            <span><i class="tt-cell unknown"></i> אין מידע</span>
+            <span><i class="tt-cell now"></i> עכשיו</span>
+        </div>
+        ${holidaysHtml}
+        ${status.nextChange ? `<div class="tt-next">⏳ ${describeNextChange(status)}</div>` : ''}
+    `;
+}
+
+function isTimetablePanelOpen() {
+    const panel = document.getElementById('timetablePanel');
+    return !!panel && panel.classList.contains('open');
+}
+
+/**
+ * Show the weekly grid of a segment in the side panel.
+ */
+function openTimetable(oid) {
+    timetableOid = oid;
+    closeReportsPanel();
+    closeMatchInspector();
+    closeQualityPanel();
+    closeRestrictionsPanel();
+    closeChangesPanel();
+    closeFiltersPanel();
+    document.getElementById('timetablePanel').classList.add('open');
+    renderTimetablePanel();
+}
+
+function toggleTimetablePanel() {
+    if (isTimetablePanelOpen()) {
+        closeTimetablePanel();
+        return;
+    }
+    // Default to the segment the driver is on
+    if (timetableOid === null && currentSegment && currentSegment.feature) {
+        timetableOid = currentSegment.feature.attributes.oid;
+    }
+    openTimetable(timetableOid);
+}
+
+function closeTimetablePanel() {
+    const panel = document.getElementById('timetablePanel');
+    if (panel) panel.classList.remove('open');
+}
+
+function renderTimetablePanel() {
+    const container = document.getElementById('timetableContent');
+    const feature = timetableOid !== null ? findFeatureByOid(timetableOid) : null;
+
+    if (!feature) {
+        container.innerHTML = `
+            <div class="reports-empty">
+                <div class="empty-icon">🗓️</div>
+                <div>לא נבחר קטע</div>
+                <div style="font-size: 13px; margin-top: 8px;">לחץ על נתיב במפה כדי לראות את הלוח השבועי שלו</div>
+            </div>`;
+        return;
+    }
+    container.innerHTML = renderWeeklyTimetable(feature, getEvaluationTime());
+}
+
+/** Re-render the open panel after the map was re-evaluated. */
+function refreshTimetablePanel() {
+    if (isTimetablePanelOpen()) renderTimetablePanel();
+}
+
+// ============================================================
+// Schedule Pins — manual oid → schedule entry overrides
+// ============================================================
+//
+// A pin maps a GIS oid (a split sub-feature "123_2" or a whole raw
+// feature 123, matched via _parentOid) to one schedule entry by
+// { street, section }, or to { none: true } for "no restriction".
+// Pins shipped in schedule_pins.json apply to everyone; pins made in
+// the inspector are kept locally and win over the shared file.
+
+const SCHEDULE_PINS_KEY = 'tlv_bus_lane_schedule_pins';
+const SHARED_PINS_FILE = 'schedule_pins.json';
+
+// Stand-in schedule entry for segments pinned to "no restriction"
+const NO_RESTRICTION_ENTRY = { street: '', section: 'ללא הגבלה (נעיצה ידנית)', sun_thu: [], fri: [], sat: [], noRestriction: true };
+
+let _localPins = loadLocalPins();
+let _sharedPins = {};
+
+function loadLocalPins() {
+    try {
+        return normalizePins(JSON.parse(localStorage.getItem(SCHEDULE_PINS_KEY) || '{}'));
+    } catch (e) {
+        console.warn('Could not read schedule pins:', e);
+        return {};
+    }
+}
+
+function saveLocalPins() {
+    try { localStorage.setItem(SCHEDULE_PINS_KEY, JSON.stringify(_localPins)); }
+    catch (e) { console.warn('Could not save schedule pins:', e); }
+}
+
+/**
+ * Accept { version, pins: {...} } or a bare { oid: pin } object and keep
+ * only well-formed pins. Returns { oid: { street, section } | { none: true } }.
+ */
+function normalizePins(data) {
+    const raw = data && data.pins ? data.pins : data;
+    const pins = {};
+    if (!raw || typeof raw !== 'object') return pins;
+    for (const [key, pin] of Object.entries(raw)) {
+        if (!pin || typeof pin !== 'object') continue;
+        if (pin.none) pins[key] = { none: true };
+        else if (typeof pin.street === 'string' && typeof pin.section === 'string') {
+            pins[key] = { street: pin.street, section: pin.section };
+        }
+    }
+    return pins;
+}
+
+/**
+ * Load the team-wide pins file shipped next to the app.
+ * A missing file just means no shared pins.
+ */
+async function loadSharedSchedulePins() {
+    try {
+        const resp = await fetch(SHARED_PINS_FILE, { cache: 'no-cache' });
+        if (!resp.ok) return;
+        _sharedPins = normalizePins(await resp.json());
+        console.log(`📌 Loaded ${Object.keys(_sharedPins).length} shared schedule pins`);
+    } catch (e) {
+        console.warn('Could not load shared schedule pins:', e);
+    }
+}
+
+/**
+ * The pin that applies to a feature: its own oid first, then its parent.
+ * Returns { key, pin, source: 'local'|'shared' } or null.
+ */
+function getSchedulePin(feature) {
+    const attrs = feature.attributes;
+    const keys = [attrs.oid, attrs._parentOid].filter(k => k !== undefined && k !== null).map(String);
+    for (const key of keys) {
+        if (_localPins[key]) return { key, pin: _localPins[key], source: 'local' };
+        if (_sharedPins[key]) return { key, pin: _sharedPins[key], source: 'shared' };
+    }
+    return null;
+}
+
+/** The version of a pinned street + section in force at `at`, or null. */
+function findPinnedEntry(pin, at) {
+    if (pin.none) return NO_RESTRICTION_ENTRY;
+    if (typeof SCHEDULE_BY_STREET === 'undefined') return null;
+    return (SCHEDULE_BY_STREET[pin.street] || [])
+        .find(entry => entry.section === pin.section && isEntryInForce(entry, at)) || null;
+}
+
+function setSchedulePin(key, pin) {
+    _localPins[String(key)] = pin;
+    saveLocalPins();
+    onSchedulePinsChanged();
+}
+
+function removeSchedulePin(key) {
+    delete _localPins[String(key)];
+    saveLocalPins();
+    onSchedulePinsChanged();
+}
+
+function onSchedulePinsChanged() {
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
+    }
+    if (inspectorOid !== null) openMatchInspector(inspectorOid);
+}
+
+/** Pin key for the inspector's scope choice: this sub-segment or its whole parent. */
+function getInspectorPinKey(feature) {
+    const scope = document.getElementById('pinScope');
+    const attrs = feature.attributes;
+    return scope && scope.value === 'parent' && attrs._parentOid !== undefined ? attrs._parentOid : attrs.oid;
+}
+
+/** Pin the entry at BUS_LANE_SCHEDULE[index] (or -1 for "no restriction"). */
+function pinEntryFromInspector(oid, index) {
+    const feature = findFeatureByOid(oid);
+    if (!feature) return;
+    const pin = index < 0
+        ? { none: true }
+        : { street: BUS_LANE_SCHEDULE[index].street, section: BUS_LANE_SCHEDULE[index].section };
+    setSchedulePin(getInspectorPinKey(feature), pin);
+}
+
+function pinSelectedFromInspector(oid) {
+    const select = document.getElementById('pinEntrySelect');
+    if (!select || select.value === '') return;
+    pinEntryFromInspector(oid, parseInt(select.value));
+}
+
+/**
+ * Download the effective pins (shared + local) as schedule_pins.json,
+ * ready to be committed next to the app for the whole team.
+ */
+function exportSchedulePins() {
+    const data = { version: 1, exported: new Date().toISOString(), pins: { ..._sharedPins, ..._localPins } };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = SHARED_PINS_FILE;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/** Merge pins from a JSON file into the local pins (imported pins win). */
+async function importSchedulePins(file) {
+    try {
+        const pins = normalizePins(JSON.parse(await file.text()));
+        const count = Object.keys(pins).length;
+        if (count === 0) {
+            alert('לא נמצאו נעיצות תקינות בקובץ');
+            return;
+        }
+        Object.assign(_localPins, pins);
+        saveLocalPins();
+        onSchedulePinsChanged();
+        alert(`יובאו ${count} נעיצות`);
+    } catch (e) {
+        console.error('Pin import failed:', e);
+        alert('שגיאה בקריאת קובץ הנעיצות');
+    }
+}
+
+/**
+ * Inspector block: current pin, pin/unpin controls and the full entry list
+ * (pins may point at an entry of another street).
+ */
+function renderPinControls(feature, lookup) {
+    const attrs = feature.attributes;
+    const pinInfo = lookup.pin;
+    let current = '<span style="color:#888;">אין נעיצה – ההתאמה אוטומטית</span>';
+    if (pinInfo) {
+        const target = pinInfo.pin.none ? 'ללא הגבלה' : `${pinInfo.pin.street} — ${pinInfo.pin.section}`;
+        const scope = String(pinInfo.key) === String(attrs.oid) ? 'קטע זה' : `כל הקטע המקורי (${pinInfo.key})`;
+        current = `📌 ${target} <span style="color:#888;">(${scope}, ${pinInfo.source === 'shared' ? SHARED_PINS_FILE : 'מקומי'})</span>`;
+        if (lookup.pinMissing) current += '<div style="color:#e74c3c;">⚠️ הרשומה הנעוצה לא נמצאה בטבלה – הנעיצה לא הוחלה</div>';
+        if (pinInfo.source === 'local') {
+            current += ` <button class="report-action-btn danger" onclick="removeSchedulePin('${pinInfo.key}')">בטל נעיצה</button>`;
+        }
+    }
+
+    const options = BUS_LANE_SCHEDULE
+        .map((entry, i) => `<option value="${i}">${entry.street} — ${entry.section}</option>`)
+        .join('');
+    const scopeOptions = attrs._parentOid !== undefined
+        ? `<select id="pinScope" class="insp-select">
+               <option value="oid">קטע זה בלבד (${attrs.oid})</option>
+               <option value="parent">כל הקטע המקורי (${attrs._parentOid})</option>
+           </select>`
+        : '';
+
+    return `<div class="insp-pin">
+        <div class="insp-row"><b>נעיצה ידנית:</b> ${current}</div>
+        <select id="pinEntrySelect" class="insp-select">
+            <option value="">— בחר רשומה לנעיצה —</option>
+            <option value="-1">ללא הגבלה</option>
+            ${options}
+        </select>
+        ${scopeOptions}
+        <button class="report-action-btn primary" onclick="pinSelectedFromInspector('${attrs.oid}')">📌 נעץ</button>
+    </div>`;
+}
+
+// ============================================================
+// Match Inspector — why a lane got the hours it shows
+// ============================================================
+
+let inspectorOid = null;   // oid shown in the inspector panel
+
+const MATCH_DECISION_TEXT = {
+    'no-data': 'טבלת השעות לא נטענה',
+    'pinned': '📌 נעוץ ידנית לרשומה זו',
+    'pinned-none': '📌 נעוץ ידנית ל"ללא הגבלה"',
+    'no-street': 'לקטע אין שם רחוב ב-GIS',
+    'no-candidates': 'אין לרחוב רשומות בתוקף בטבלת העירייה',
+    'geometry': 'נבחרה לפי גיאומטריה – הקטע נמצא בטווח הצמתים של הרשומה',
+    'single': 'רשומה יחידה לרחוב – נבחרה ללא ניקוד',
+    'best-score': 'נבחרה הרשומה עם הציון הגבוה ביותר',
+    'fallback-first': '⚠️ אף רשומה לא קיבלה ציון – נבחרה הראשונה כברירת מחדל'
+};
+
+const STREET_MATCH_TEXT = {
+    exact: 'זהה',
+    alias: 'דרך כינוי',
+    fuzzy: 'דומה',
+    none: 'לא תואם'
+};
+
+const DIRECTION_TEXT = { N: 'צפון', S: 'דרום', E: 'מזרח', W: 'מערב', both: 'שני הכיוונים' };
+
+function openMatchInspector(oid) {
+    const feature = findFeatureByOid(oid);
+    if (!feature) return;
+    inspectorOid = oid;
+    closeReportsPanel();
+    closeTimetablePanel();
+    closeQualityPanel();
+    closeRestrictionsPanel();
+    closeChangesPanel();
+    closeFiltersPanel();
+    document.getElementById('inspectorContent').innerHTML = renderMatchInspector(feature);
+    document.getElementById('inspectorPanel').classList.add('open');
+}
+
+function closeMatchInspector() {
+    inspectorOid = null;
+    const panel = document.getElementById('inspectorPanel');
+    if (panel) panel.classList.remove('open');
+}
+
+/**
+ * HTML for the inspector: GIS attributes, alias, every candidate
+ * entry with its matchScore breakdown, and the final decision.
+ */
+function renderMatchInspector(feature) {
+    const a = feature.attributes;
+    const lookup = explainScheduleLookup(feature, getEvaluationTime(), true);
+    const signOvr = typeof getSignOverride === 'function' ? getSignOverride(feature) : null;
+
+    const aliasText = lookup.alias
+        ? `${lookup.street} → ${lookup.alias}`
+        : 'לא נעשה שימוש בכינוי';
+
+    const candidatesHtml = lookup.candidates.map(c => {
+        const b = c.breakdown;
+        const parsed = parseSection(c.entry.section);
+        const chosen = c.entry === lookup.entry;
+        const index = BUS_LANE_SCHEDULE.indexOf(c.entry);
+        const spanText = parsed
+            ? `${DIRECTION_TEXT[parsed.direction] || 'כיוון לא צוין'} · ${parsed.fromStreet || '?'} → ${parsed.toStreet || '?'}${parsed.extraSpans.length ? ` (+${parsed.extraSpans.length} קטעים)` : ''}`
+            : 'ללא פירוט קטע';
+        const rows = [
+            `רחוב: ${STREET_MATCH_TEXT[b.streetMatch]}${b.streetMatch === 'fuzzy' ? ` ${Math.round(b.confidence * 100)}%` : ''} (+${b.base})`,
+            `מרחוב: ${b.fromHit ? '✓ +3' : '✗'}`,
+            `עד רחוב: ${b.toHit ? '✓ +3' : '✗'}`,
+            `כיוון: ${b.directionBonus ? `✓ +${b.directionBonus}` : '✗'}`
+        ];
+        if (b.defaultCapped) rows.push('default: הוגבל ל-0.5');
+
+        return `<div class="insp-candidate${chosen ? ' chosen' : ''}${c.inForce ? '' : ' inactive'}">
+            <div class="insp-candidate-head">
+                <span>${chosen ? '✅ ' : ''}${c.entry.section || '(ללא קטע)'}</span>
+                <span class="insp-score">${b.score}</span>
+            </div>
+            <div class="insp-span">${spanText}</div>
+            <div class="insp-breakdown">${rows.map(r => `<span>${r}</span>`).join('')}</div>
+            <div class="insp-hours">🕐 ${summarizeHours(c.entry)}${c.inForce ? '' : ' · לא בתוקף כעת'}</div>
+            <button class="report-action-btn" onclick="pinEntryFromInspector('${a.oid}', ${index})">📌 נעץ רשומה זו</button>
+        </div>`;
+    }).join('');
+
+    return `
+        <div class="tt-title">🚌 ${a.street_name || 'ללא שם'}</div>
+        <div class="tt-subtitle">${a.from_street || '?'} → ${a.to_street || '?'} · כיוון ${DIRECTION_TEXT[a.direction_name] || a.direction_name || 'לא צוין'} · oid ${a.oid}</div>
+        <div class="insp-row"><b>שם מנורמל:</b> ${lookup.street || '—'}</div>
+        <div class="insp-row"><b>כינוי (STREET_ALIASES):</b> ${aliasText}</div>
+        <div class="insp-decision">${MATCH_DECISION_TEXT[lookup.decision]}</div>
+        ${signOvr && signOvr.hours ? '<div class="insp-decision sign">🪧 שלט מפוענח מהשטח גובר על טבלת העירייה בקטע זה</div>' : ''}
+        ${renderPinControls(feature, lookup)}
+        <div class="insp-candidates-title">מועמדים (${lookup.candidates.length})</div>
+        ${candidatesHtml || '<div class="reports-empty">אין רשומות מתאימות</div>'}
+    `;
+}
+
+// ============================================================
+// Temporary Restrictions — marathons, demonstrations, roadworks
+// ============================================================
+//
+// A restriction covers a polygon ([[lat, lng], …]) or a list of segment
+// oids, between start and end (ISO datetimes), with a rule:
+//   blocked — the bus lane is closed to private vehicles
+//   open    — the bus lane is open to everyone
+//   closed  — the road itself is closed, no exemptions apply
+// An active restriction wins over sign overrides and the schedule.
+
+const TEMP_RESTRICTIONS_KEY = 'tlv_bus_lane_temp_restrictions';
+
+const RESTRICTION_RULES = {
+    blocked: { icon: '🚧', text: 'נת"צ חסום' },
+    open: { icon: '🟢', text: 'נת"צ פתוח לכולם' },
+    closed: { icon: '⛔', text: 'כביש סגור' }
+};
+
+let tempRestrictions = loadTempRestrictions();
+let _restrictionOidCache = {};   // restriction id → { features, oids: Set } for polygons
+let restrictionDraft = null;     // { mode: 'segments'|'polygon', oids: [], polygon: [] } while picking
+let restrictionDraftLayer = null;
+let _restrictionMapClickHandler = null;
+
+function loadTempRestrictions() {
+    try {
+        return normalizeRestrictions(JSON.parse(localStorage.getItem(TEMP_RESTRICTIONS_KEY) || '[]'));
+    } catch (e) {
+        console.warn('Could not read temporary restrictions:', e);
+        return [];
+    }
+}
+
+function saveTempRestrictions() {
+    try { localStorage.setItem(TEMP_RESTRICTIONS_KEY, JSON.stringify(tempRestrictions)); }
+    catch (e) { console.warn('Could not save temporary restrictions:', e); }
+}
+
+/**
+ * Accept { version, restrictions: [...] } or a bare array and keep only
+ * well-formed restrictions (known rule, valid dates, oids or a polygon).
+ */
+function normalizeRestrictions(data) {
+    const raw = Array.isArray(data) ? data : data && Array.isArray(data.restrictions) ? data.restrictions : [];
+    return raw.filter(r => r && RESTRICTION_RULES[r.rule] &&
+        !isNaN(new Date(r.start)) && !isNaN(new Date(r.end)) &&
+        ((Array.isArray(r.oids) && r.oids.length > 0) || (Array.isArray(r.polygon) && r.polygon.length >= 3))
+    ).map(r => ({
+        id: String(r.id || `tr_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`),
+        title: r.title || RESTRICTION_RULES[r.rule].text,
+        rule: r.rule,
+        start: new Date(r.start).toISOString(),
+        end: new Date(r.end).toISOString(),
+        oids: Array.isArray(r.oids) ? r.oids.map(String) : null,
+        polygon: Array.isArray(r.polygon) ? r.polygon : null
+    }));
+}
+
+/** Ray-casting point-in-polygon test on [lat, lng] pairs. */
+function isPointInPolygon(lat, lng, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [yi, xi] = polygon[i];
+        const [yj, xj] = polygon[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/** Does a restriction cover the feature (by oid, parent oid, or any vertex in its polygon)? */
+function restrictionCovers(restriction, feature) {
+    const attrs = feature.attributes;
+    if (restriction.oids) {
+        return restriction.oids.includes(String(attrs.oid)) ||
+            (attrs._parentOid !== undefined && restriction.oids.includes(String(attrs._parentOid)));
+    }
+    // Polygon membership is computed once per loaded feature set
+    let cached = _restrictionOidCache[restriction.id];
+    if (!cached || cached.features !== allFeatures) {
+        cached = _restrictionOidCache[restriction.id] = { features: allFeatures, oids: new Set() };
+        for (const f of allFeatures) {
+            if (!f.geometry || !f.geometry.paths) continue;
+            const inside = f.geometry.paths.some(path =>
+                path.some(([x, y]) => isPointInPolygon(y, x, restriction.polygon)));
+            if (inside) cached.oids.add(String(f.attributes.oid));
+        }
+    }
+    return cached.oids.has(String(attrs.oid));
+}
+
+/** The restriction in force on a feature at `now` (latest-starting wins), or null. */
+function findActiveRestriction(feature, now) {
+    let active = null;
+    for (const r of tempRestrictions) {
+        if (now < new Date(r.start) || now >= new Date(r.end)) continue;
+        if (!restrictionCovers(r, feature)) continue;
+        if (!active || r.start > active.start) active = r;
+    }
+    return active;
+}
+
+/**
+ * Lane status under a restriction. The next change is its end time.
+ */
+function getRestrictionStatus(restriction, now, holiday) {
+    const rule = RESTRICTION_RULES[restriction.rule];
+    const nextChange = new Date(restriction.end);
+    const minutesToChange = Math.ceil((nextChange - now) / 60000);
+    return {
+        blocked: restriction.rule !== 'open',
+        reason: `${rule.icon} ${rule.text} – ${restriction.title}`,
+        category: restriction.rule === 'closed' ? 'closed' : restriction.rule === 'open' ? 'open' : 'blocked',
+        schedule: null,
+        signOverride: null,
+        restriction,
+        holiday,
+        nextChange,
+        minutesToChange,
+        changingSoon: minutesToChange <= CONFIG.changingSoonMinutes
+    };
+}
+
+/**
+ * Apply every restriction on a feature to its blocked calendar intervals
+ * (see getBlockedIntervals): 'open' cuts its window out, 'blocked' and
+ * 'closed' fill it. Later-starting restrictions win where they overlap.
+ * Returns merged [{ start: Date, end: Date }].
+ */
+function applyRestrictionsToIntervals(feature, intervals) {
+    let result = intervals.map(iv => ({ start: iv.start, end: iv.end }));
+    const covering = tempRestrictions
+        .filter(r => restrictionCovers(r, feature))
+        .sort((a, b) => a.start.localeCompare(b.start));
+    for (const r of covering) {
+        const rs = new Date(r.start);
+        const re = new Date(r.end);
+        const cut = [];
+        for (const iv of result) {
+            if (iv.end <= rs || iv.start >= re) {
+                cut.push(iv);
+                continue;
+            }
+            if (iv.start < rs) cut.push({ start: iv.start, end: rs });
+            if (iv.end > re) cut.push({ start: re, end: iv.end });
+        }
+        if (r.rule !== 'open') cut.push({ start: rs, end: re });
+        result = mergeIntervals(cut.sort((a, b) => a.start - b.start));
+    }
+    return result;
+}
+
+function addTempRestriction(restriction) {
+    const [normalized] = normalizeRestrictions([restriction]);
+    if (!normalized) return false;
+    tempRestrictions.push(normalized);
+    onTempRestrictionsChanged();
+    return true;
+}
+
+function removeTempRestriction(id) {
+    tempRestrictions = tempRestrictions.filter(r => r.id !== id);
+    onTempRestrictionsChanged();
+}
+
+function onTempRestrictionsChanged() {
+    _restrictionOidCache = {};
+    saveTempRestrictions();
+    if (allFeatures.length > 0) {
+        renderLanes(allFeatures, getEvaluationTime());
+    }
+    if (isRestrictionsPanelOpen()) renderRestrictionsPanel();
+}
+
+function exportTempRestrictions() {
+    const data = { version: 1, exported: new Date().toISOString(), restrictions: tempRestrictions };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'temp_restrictions.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/** Merge restrictions from a JSON file (same id → imported one wins). */
+async function importTempRestrictions(file) {
+    try {
+        const imported = normalizeRestrictions(JSON.parse(await file.text()));
+        if (imported.length === 0) {
+            alert('לא נמצאו הגבלות תקינות בקובץ');
+            return;
+        }
+        const ids = new Set(imported.map(r => r.id));
+        tempRestrictions = tempRestrictions.filter(r => !ids.has(r.id)).concat(imported);
+        onTempRestrictionsChanged();
+        alert(`יובאו ${imported.length} הגבלות`);
+    } catch (e) {
+        console.error('Restriction import failed:', e);
+        alert('שגיאה בקריאת קובץ ההגבלות');
+    }
+}
+
+// ---- Panel ----
+
+function isRestrictionsPanelOpen() {
+    const panel = document.getElementById('restrictionsPanel');
+    return !!panel && panel.classList.contains('open');
+}
+
+function toggleRestrictionsPanel() {
+    if (isRestrictionsPanelOpen()) {
+        closeRestrictionsPanel();
+        return;
+    }
+    closeReportsPanel();
+    closeTimetablePanel();
+    closeMatchInspector();
+    closeQualityPanel();
+    closeChangesPanel();
+    closeFiltersPanel();
+    document.getElementById('restrictionsPanel').classList.add('open');
+    renderRestrictionsPanel();
+}
+
+function closeRestrictionsPanel() {
+    const panel = document.getElementById('restrictionsPanel');
+    if (panel) panel.classList.remove('open');
+    cancelRestrictionDraft();
+}
+
+/** 'YYYY-MM-DDTHH:MM' (Jerusalem wall clock) ↔ Date, for datetime-local inputs. */
+function parseJerusalemInput(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+    return m ? jerusalemDate(+m[1], +m[2], +m[3], +m[4], +m[5]) : null;
+}
+
+function formatJerusalemInput(date) {
+    const p = getJerusalemParts(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+function renderRestrictionsPanel() {
+    const container = document.getElementById('restrictionsContent');
+    const now = getEvaluationTime();
+    // Keep what was typed in the form across re-renders
+    const typed = id => {
+        const el = document.getElementById(id);
+        return el && el.value ? el.value : null;
+    };
+    const fmt = iso => new Date(iso).toLocaleString('he-IL', { timeZone: CONFIG.timeZone, dateStyle: 'short', timeStyle: 'short' });
+
+    const items = [...tempRestrictions].sort((a, b) => a.start.localeCompare(b.start)).map(r => {
+        const rule = RESTRICTION_RULES[r.rule];
+        const state = now >= new Date(r.end) ? ['ended', 'הסתיימה']
+            : now >= new Date(r.start) ? ['active', 'פעילה'] : ['upcoming', 'עתידית'];
+        const target = r.oids ? `${r.oids.length} קטעים` : 'אזור במפה';
+        return `<div class="restriction-card ${state[0]}">
+            <div class="restriction-head">
+                <span>${rule.icon} ${r.title}</span>
+                <span class="restriction-state">${state[1]}</span>
+            </div>
+            <div class="report-card-meta">${rule.text} · ${target}</div>
+            <div class="report-card-meta">${fmt(r.start)} – ${fmt(r.end)}</div>
+            <div class="report-card-actions">
+                <button class="report-action-btn" onclick="showTempRestriction('${r.id}')">🗺️ הצג במפה</button>
+                <button class="report-action-btn danger" onclick="removeTempRestriction('${r.id}')">🗑️ מחק</button>
+            </div>
+        </div>`;
+    }).join('');
+
+    const draft = restrictionDraft;
+    const start = new Date(Math.ceil(now.getTime() / 3600000) * 3600000);
+    const rule = typed('trRule') || 'blocked';
+
+    container.innerHTML = `
+        ${items || '<div class="reports-empty"><div class="empty-icon">🚧</div><div>אין הגבלות זמניות</div></div>'}
+        <div class="restriction-form">
+            <div class="insp-candidates-title">הגבלה חדשה</div>
+            <input type="text" id="trTitle" class="insp-select" placeholder="שם (למשל: מרתון תל אביב)" value="${(typed('trTitle') || '').replace(/"/g, '&quot;')}">
+            <select id="trRule" class="insp-select">
+                ${Object.entries(RESTRICTION_RULES).map(([id, r]) => `<option value="${id}" ${id === rule ? 'selected' : ''}>${r.icon} ${r.text}</option>`).join('')}
+            </select>
+            <label class="report-card-meta">מ-<input type="datetime-local" id="trStart" value="${typed('trStart') || formatJerusalemInput(start)}"></label>
+            <label class="report-card-meta">עד<input type="datetime-local" id="trEnd" value="${typed('trEnd') || formatJerusalemInput(new Date(start.getTime() + 3 * 3600000))}"></label>
+            <div class="report-card-actions">
+                <button class="report-action-btn${draft && draft.mode === 'segments' ? ' primary' : ''}" onclick="startRestrictionDraft('segments')">🛣️ בחר קטעים</button>
+                <button class="report-action-btn${draft && draft.mode === 'polygon' ? ' primary' : ''}" onclick="startRestrictionDraft('polygon')">⬠ סמן אזור</button>
+            </div>
+            ${draft ? `<div class="report-card-meta" id="trDraftInfo">${describeRestrictionDraft()}</div>` : ''}
+            <div class="report-card-actions">
+                <button class="report-action-btn primary" onclick="saveRestrictionDraft()" ${draft ? '' : 'disabled'}>💾 שמור הגבלה</button>
+                ${draft ? '<button class="report-action-btn" onclick="cancelRestrictionDraft(); renderRestrictionsPanel()">ביטול</button>' : ''}
+            </div>
+        </div>
+    `;
+}
+
+/** Outline a restriction's segments or polygon on the map. */
+function showTempRestriction(id) {
+    const r = tempRestrictions.find(x => x.id === id);
+    if (!r) return;
+    if (r.oids) {
+        highlightSegments(r.oids);
+        return;
+    }
+    clearSegmentHighlight();
+    const polygon = L.polygon(r.polygon, { color: '#8e44ad', weight: 2, fillOpacity: 0.1, interactive: false }).addTo(segmentHighlightLayer);
+    map.fitBounds(polygon.getBounds().pad(0.2));
+}
+
+// ---- Picking segments / drawing a polygon ----
+
+function startRestrictionDraft(mode) {
+    cancelRestrictionDraft();
+    restrictionDraft = { mode, oids: [], polygon: [] };
+    if (!restrictionDraftLayer) restrictionDraftLayer = L.layerGroup().addTo(map);
+    // Lane clicks must reach the picker instead of opening popups
+    _disableLanePopups();
+    if (mode === 'polygon') {
+        _restrictionMapClickHandler = e => {
+            restrictionDraft.polygon.push([e.latlng.lat, e.latlng.lng]);
+            drawRestrictionDraft();
+        };
+        map.on('click', _restrictionMapClickHandler);
+    }
+    renderRestrictionsPanel();
+}
+
+/** Lane click while picking segments: toggle the segment in the draft. */
+function toggleRestrictionDraftSegment(oid) {
+    const key = String(oid);
+    const idx = restrictionDraft.oids.indexOf(key);
+    if (idx >= 0) restrictionDraft.oids.splice(idx, 1);
+    else restrictionDraft.oids.push(key);
+    drawRestrictionDraft();
+}
+
+function describeRestrictionDraft() {
+    return restrictionDraft.mode === 'segments'
+        ? `נבחרו ${restrictionDraft.oids.length} קטעים – לחץ על נתיבים במפה`
+        : `${restrictionDraft.polygon.length} נקודות – לחץ על המפה לסימון האזור`;
+}
+
+function drawRestrictionDraft() {
+    restrictionDraftLayer.clearLayers();
+    for (const oid of restrictionDraft.oids) {
+        const feature = findFeatureByOid(oid);
+        if (!feature || !feature.geometry) continue;
+        arcgisPathsToLatLngs(feature.geometry.paths).forEach(path =>
+            L.polyline(path, { color: '#8e44ad', weight: 10, opacity: 0.5, interactive: false }).addTo(restrictionDraftLayer));
+    }
+    if (restrictionDraft.polygon.length > 0) {
+        L.polygon(restrictionDraft.polygon, { color: '#8e44ad', weight: 2, dashArray: '6 4', fillOpacity: 0.1, interactive: false })
+            .addTo(restrictionDraftLayer);
+    }
+    const info = document.getElementById('trDraftInfo');
+    if (info) info.textContent = describeRestrictionDraft();
+}
+
+function cancelRestrictionDraft() {
+    if (!restrictionDraft) return;
+    restrictionDraft = null;
+    if (_restrictionMapClickHandler) {
+        map.off('click', _restrictionMapClickHandler);
+        _restrictionMapClickHandler = null;
+    }
+    if (restrictionDraftLayer) restrictionDraftLayer.clearLayers();
+    _restoreLanePopups();
+}
+
+function saveRestrictionDraft() {
+    if (!restrictionDraft) return;
+    const start = parseJerusalemInput(document.getElementById('trStart').value);
+    const end = parseJerusalemInput(document.getElementById('trEnd').value);
+    if (!start || !end || end <= start) {
+        alert('יש לבחור זמן התחלה וזמן סיום מאוחר ממנו');
+        return;
+    }
+    const draft = restrictionDraft;
+    const ok = addTempRestriction({
+        title: document.getElementById('trTitle').value.trim(),
+        rule: document.getElementById('trRule').value,
+        start,
+        end,
+        oids: draft.mode === 'segments' ? draft.oids : null,
+        polygon: draft.mode === 'polygon' ? draft.polygon : null
+    });
+    if (!ok) {
+        alert(draft.mode === 'segments' ? 'יש לבחור לפחות קטע אחד' : 'יש לסמן לפחות 3 נקודות');
+        return;
+    }
+    cancelRestrictionDraft();
+    renderRestrictionsPanel();
+}
+
+// ============================================================
+// Data Quality — schedule coverage, unused entries, unmapped cameras
+// ============================================================
+
+let _qualityGroups = [];         // rows of the open panel → { oids } or { camera }
+let segmentHighlightLayer = null;
+
+/**
+ * Coverage of the schedule and GIS data at `now`.
+ * Returns: {
+ *   streets: [{ street, matched, fallback, unmatched, oids: { matched, fallback, unmatched } }],
+ *   totals: { matched, fallback, unmatched },
+ *   unusedEntries: [{ index, entry }],   // in force, but no segment chose them
+ *   unmappedCameras: [camera],           // left out of cameraSegmentMap
+ *   inactiveSegments: [feature]          // GIS status set and not 'פעיל' (missing = active)
+ * }
+ * Fallback = the lookup took the first candidate, or a street's 'default' entry.
+ */
+function buildDataQualityReport(now) {
+    now = now || getEvaluationTime();
+    const byStreet = {};
+    const totals = { matched: 0, fallback: 0, unmatched: 0 };
+    const usedEntries = new Set();
+    const inactiveSegments = [];
+
+    for (const f of allFeatures) {
+        const a = f.attributes;
+        if (a.status && a.status !== 'פעיל') inactiveSegments.push(f);
+
+        const lookup = explainScheduleLookup(f, now);
+        if (lookup.entry) usedEntries.add(lookup.entry);
+        const kind = !lookup.entry ? 'unmatched'
+            : lookup.decision === 'fallback-first' || lookup.entry.section === 'default' ? 'fallback'
+                : 'matched';
+
+        const street = a.street_name || '(ללא שם)';
+        const row = byStreet[street] = byStreet[street] ||
+            { street, matched: 0, fallback: 0, unmatched: 0, oids: { matched: [], fallback: [], unmatched: [] } };
+        row[kind]++;
+        row.oids[kind].push(a.oid);
+        totals[kind]++;
+    }
+
+    const unusedEntries = typeof BUS_LANE_SCHEDULE === 'undefined' ? [] : BUS_LANE_SCHEDULE
+        .map((entry, index) => ({ index, entry }))
+        .filter(({ entry }) => isEntryInForce(entry, now) && !usedEntries.has(entry));
+
+    const unmappedCameras = allCameras.filter(c => !cameraSegmentMap[c.attributes.OBJECTID]);
+
+    // Worst streets first
+    const streets = Object.values(byStreet).sort((x, y) =>
+        (y.unmatched + y.fallback) - (x.unmatched + x.fallback) || x.street.localeCompare(y.street, 'he'));
+
+    return { streets, totals, unusedEntries, unmappedCameras, inactiveSegments };
+}
+
+function isQualityPanelOpen() {
+    const panel = document.getElementById('qualityPanel');
+    return !!panel && panel.classList.contains('open');
+}
+
+function toggleQualityPanel() {
+    if (isQualityPanelOpen()) {
+        closeQualityPanel();
+        return;
+    }
+    closeReportsPanel();
+    closeTimetablePanel();
+    closeMatchInspector();
+    closeRestrictionsPanel();
+    closeChangesPanel();
+    closeFiltersPanel();
+    document.getElementById('qualityPanel').classList.add('open');
+    renderQualityPanel();
+}
+
+function closeQualityPanel() {
+    const panel = document.getElementById('qualityPanel');
+    if (panel) panel.classList.remove('open');
+    clearSegmentHighlight();
+}
+
+function renderQualityPanel() {
+    const container = document.getElementById('qualityContent');
+    if (allFeatures.length === 0) {
+        container.innerHTML = `
+            <div class="reports-empty">
+                <div class="empty-icon">📊</div>
+                <div>הנתונים עדיין נטענים</div>
+            </div>`;
+        return;
+    }
+
+    const report = buildDataQualityReport();
+    _qualityGroups = [];
+    const link = (group, text) => {
+        _qualityGroups.push(group);
+        return `<a href="#" class="dq-link" onclick="showQualityGroup(${_qualityGroups.length - 1}); return false;">${text}</a>`;
+    };
+    const count = (oids, cls) => oids.length > 0
+        ? link({ oids }, `<span class="dq-count ${cls}">${oids.length}</span>`)
+        : '<span class="dq-count">0</span>';
+
+    const streetRows = report.streets.map(row => `
+        <tr>
+            <td>${link({ oids: [...row.oids.matched, ...row.oids.fallback, ...row.oids.unmatched] }, row.street)}</td>
+            <td>${count(row.oids.matched, 'ok')}</td>
+            <td>${count(row.oids.fallback, 'warn')}</td>
+            <td>${count(row.oids.unmatched, 'bad')}</td>
+        </tr>`).join('');
+
+    const unusedRows = report.unusedEntries.map(({ index, entry }) => {
+        const oids = allFeatures.filter(f => isSameStreet(f.attributes.street_name, entry.street)).map(f => f.attributes.oid);
+        const title = `#${index} ${entry.street} – ${entry.section}`;
+        return `<li>${oids.length > 0 ? link({ oids }, title) : title}${oids.length > 0 ? '' : ' <span class="dq-note">(אין קטעים ברחוב)</span>'}</li>`;
+    }).join('');
+
+    const cameraRows = report.unmappedCameras.map(cam => {
+        const a = cam.attributes;
+        const title = `${a.t_rechov1 || 'ללא רחוב'}${a.ms_bayit1 ? ' ' + a.ms_bayit1 : ''}`;
+        return `<li>${cam.geometry ? link({ camera: cam }, title) : title}</li>`;
+    }).join('');
+
+    const inactiveRows = report.inactiveSegments.map(f => {
+        const a = f.attributes;
+        return `<li>${link({ oids: [a.oid] }, `${a.street_name || '(ללא שם)'}: ${a.from_street || '?'} ← ${a.to_street || '?'}`)} <span class="dq-note">(${a.status || 'ללא סטטוס'})</span></li>`;
+    }).join('');
+
+    const t = report.totals;
+    container.innerHTML = `
+        <div class="dq-summary">
+            <span class="dq-count ok">${t.matched}</span> מותאמים
+            <span class="dq-count warn">${t.fallback}</span> ברירת מחדל
+            <span class="dq-count bad">${t.unmatched}</span> ללא שעות
         </div>
+        <div class="dq-title">כיסוי לפי רחוב</div>
+        <table class="dq-table">
+            <tr><th>רחוב</th><th>מותאם</th><th>ברירת מחדל</th><th>ללא</th></tr>
+            ${streetRows}
+        </table>
+        <div class="dq-title">רשומות שעות שאף קטע לא משתמש בהן (${report.unusedEntries.length})</div>
+        <ul class="dq-list">${unusedRows || '<li class="dq-note">אין</li>'}</ul>
+        <div class="dq-title">מצלמות ללא קטע (${report.unmappedCameras.length})</div>
+        <ul class="dq-list">${cameraRows || '<li class="dq-note">אין</li>'}</ul>
+        <div class="dq-title">קטעים שאינם בסטטוס פעיל (${report.inactiveSegments.length})</div>
+        <ul class="dq-list">${inactiveRows || '<li class="dq-note">אין</li>'}</ul>
     `;
 }
 
-function cancelDecodeForm(reportId) {
-    const el = document.getElementById(`decode-form-${reportId}`);
-    if (el) el.innerHTML = '';
+/**
+ * Highlight a panel row's segments (or camera) on the map and zoom to them.
+ */
+function showQualityGroup(index) {
+    const group = _qualityGroups[index];
+    if (!group) return;
+    if (!group.camera) {
+        highlightSegments(group.oids);
+        return;
+    }
+    clearSegmentHighlight();
+    const pos = L.latLng(group.camera.geometry.y, group.camera.geometry.x);
+    L.circleMarker(pos, { radius: 14, color: '#8e44ad', weight: 3, fill: false }).addTo(segmentHighlightLayer);
+    map.setView(pos, 18);
 }
 
-function parseTimeRanges(str) {
-    if (!str || !str.trim()) return null;
-    const ranges = [];
-    const parts = str.split(',');
-    for (const part of parts) {
-        const match = part.trim().match(/(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
-        if (match) {
-            const start = parseInt(match[1]) + parseInt(match[2]) / 60;
-            const end = parseInt(match[3]) + parseInt(match[4]) / 60;
-            ranges.push([start, end]);
-        }
+/** Outline segments by oid on the map and zoom to them. */
+function highlightSegments(oids) {
+    clearSegmentHighlight();
+    const bounds = L.latLngBounds([]);
+    for (const oid of oids) {
+        const feature = findFeatureByOid(oid);
+        if (!feature || !feature.geometry || !feature.geometry.paths) continue;
+        arcgisPathsToLatLngs(feature.geometry.paths).forEach(path => {
+            L.polyline(path, { color: '#8e44ad', weight: 9, opacity: 0.6, interactive: false }).addTo(segmentHighlightLayer);
+            path.forEach(pt => bounds.extend(pt));
+        });
     }
-    return ranges.length > 0 ? ranges : null;
+    if (bounds.isValid()) map.fitBounds(bounds.pad(0.2));
 }
 
-function saveDecodeForm(reportId) {
-    const allWeek = document.getElementById(`decode-allweek-${reportId}`).checked;
-    const sunThuStr = document.getElementById(`decode-sunth-${reportId}`).value;
-    const friStr = document.getElementById(`decode-fri-${reportId}`).value;
-    const satStr = document.getElementById(`decode-sat-${reportId}`).value;
+function clearSegmentHighlight() {
+    if (!segmentHighlightLayer) segmentHighlightLayer = L.layerGroup().addTo(map);
+    segmentHighlightLayer.clearLayers();
+}
 
-    const decodedHours = {
-        allWeek: allWeek,
-        sun_thu: allWeek ? null : parseTimeRanges(sunThuStr),
-        fri: allWeek ? null : parseTimeRanges(friStr),
-        sat: allWeek ? null : parseTimeRanges(satStr)
+// ============================================================
+// GIS Changes — what changed in layers 611/949 since last time
+// ============================================================
+//
+// Every complete download is compared with the stored snapshot
+// (diffGisSnapshots). Changes are kept for GIS_CHANGE_HIGHLIGHT_DAYS
+// and outlined on the map until then.
+
+const GIS_CHANGES_KEY = 'tlv_bus_lane_gis_changes';
+const GIS_CHANGES_SEEN_KEY = 'tlv_bus_lane_gis_changes_seen';
+const GIS_CHANGE_HIGHLIGHT_DAYS = 5;
+const GIS_CHANGES_MAX = 500;
+
+const GIS_CHANGE_TYPES = {
+    added: { text: 'חדש', color: '#27ae60' },
+    removed: { text: 'הוסר', color: '#c0392b' },
+    modified: { text: 'שונה', color: '#e67e22' }
+};
+
+const GIS_FIELD_LABELS = {
+    street_name: 'רחוב',
+    from_street: 'מרחוב',
+    to_street: 'עד רחוב',
+    direction_name: 'כיוון',
+    type_of_nataz: 'סוג נת"צ',
+    status: 'סטטוס',
+    t_rechov1: 'רחוב',
+    ms_bayit1: 'מס׳ בית',
+    sug: 'סוג עמוד'
+};
+
+let gisChanges = loadGisChanges();
+let gisChangeLayer = null;
+let _gisChangeRows = [];   // rows of the open panel → change
+
+function loadGisChanges() {
+    try {
+        const list = JSON.parse(localStorage.getItem(GIS_CHANGES_KEY) || '[]');
+        return Array.isArray(list) ? pruneGisChanges(list, Date.now()) : [];
+    } catch (e) {
+        console.warn('Could not read GIS changes:', e);
+        return [];
+    }
+}
+
+function saveGisChanges() {
+    try { localStorage.setItem(GIS_CHANGES_KEY, JSON.stringify(gisChanges)); }
+    catch (e) { console.warn('Could not save GIS changes:', e); }
+}
+
+/** Drop changes older than the highlight period. */
+function pruneGisChanges(list, now) {
+    const cutoff = now - GIS_CHANGE_HIGHLIGHT_DAYS * 86400000;
+    return list.filter(c => c && c.detectedAt > cutoff);
+}
+
+function describeGisFeature(kind, feature) {
+    const a = feature.attributes;
+    if (kind === 'camera') return `${a.t_rechov1 || 'ללא רחוב'}${a.ms_bayit1 ? ' ' + a.ms_bayit1 : ''}`;
+    return `${a.street_name || '(ללא שם)'}: ${a.from_street || '?'} ← ${a.to_street || '?'}`;
+}
+
+// Stored outlines: ~1 m precision, points closer than ~3 m dropped
+const GIS_CHANGE_COORD_PRECISION = 1e5;
+const GIS_CHANGE_MIN_STEP = 0.00003;
+
+/**
+ * The part of a feature's geometry the change outline needs, small
+ * enough for up to GIS_CHANGES_MAX changes in localStorage. Keeps the
+ * { x, y } / { paths } shape; each path keeps its end points.
+ */
+function compactChangeGeometry(geometry) {
+    if (!geometry) return null;
+    const round = v => Math.round(v * GIS_CHANGE_COORD_PRECISION) / GIS_CHANGE_COORD_PRECISION;
+    if (!geometry.paths) return { x: round(geometry.x), y: round(geometry.y) };
+    const compactPath = path => {
+        const kept = [];
+        path.forEach((pt, i) => {
+            const last = kept[kept.length - 1];
+            const far = !last || Math.abs(pt[0] - last[0]) >= GIS_CHANGE_MIN_STEP || Math.abs(pt[1] - last[1]) >= GIS_CHANGE_MIN_STEP;
+            if (far || i === path.length - 1) kept.push(pt);
+        });
+        return kept.map(pt => [round(pt[0]), round(pt[1])]);
     };
+    return { paths: geometry.paths.map(compactPath) };
+}
 
-    // Collect selected segment OIDs from decode form checkboxes
-    const segCbs = document.querySelectorAll(`.decode-seg-cb-${reportId}:checked`);
-    const featureIds = Array.from(segCbs).map(cb => parseInt(cb.value));
+/**
+ * Store the changes of one download next to earlier ones. A newer
+ * change of the same lane/camera replaces the older one.
+ */
+function recordGisChanges(diff, detectedAt) {
+    const entries = [];
+    const add = (kind, layerDiff) => {
+        layerDiff.added.forEach(f => entries.push({ kind, type: 'added', feature: f, fields: [], geometry: false }));
+        layerDiff.removed.forEach(f => entries.push({ kind, type: 'removed', feature: f, fields: [], geometry: false }));
+        layerDiff.modified.forEach(m => entries.push({ kind, type: 'modified', feature: m.after, fields: m.fields, geometry: m.geometry }));
+    };
+    add('lane', diff.lanes);
+    add('camera', diff.cameras);
+
+    const fresh = entries.map(e => ({
+        id: `${e.kind}:${gisFeatureId(e.feature)}`,
+        kind: e.kind,
+        type: e.type,
+        label: describeGisFeature(e.kind, e.feature),
+        fields: e.fields,
+        geometryChanged: e.geometry,
+        geometry: compactChangeGeometry(e.feature.geometry),
+        detectedAt
+    }));
+    const freshIds = new Set(fresh.map(c => c.id));
+    gisChanges = pruneGisChanges([...fresh, ...gisChanges.filter(c => !freshIds.has(c.id))], detectedAt)
+        .slice(0, GIS_CHANGES_MAX);
+    saveGisChanges();
+
+    console.log(`🆕 GIS changes: ${diff.lanes.added.length}/${diff.lanes.removed.length}/${diff.lanes.modified.length} lanes, ` +
+        `${diff.cameras.added.length}/${diff.cameras.removed.length}/${diff.cameras.modified.length} cameras (added/removed/modified)`);
+    onGisChangesUpdated();
+}
 
-    updateCommunityReport(reportId, {
-        status: 'decoded',
-        decodedHours: decodedHours,
-        featureIds: featureIds.length > 0 ? featureIds : null
-    });
+function onGisChangesUpdated() {
+    renderGisChangeHighlights();
+    updateGisChangesBadge();
+    if (isChangesPanelOpen()) renderChangesPanel();
+}
 
-    // Re-render
-    renderReportsList();
+/** Outline recent changes on the map: green new, red removed, orange modified. */
+function renderGisChangeHighlights() {
+    if (!map) return;
+    if (!gisChangeLayer) gisChangeLayer = L.layerGroup().addTo(map);
+    gisChangeLayer.clearLayers();
+    gisChanges = pruneGisChanges(gisChanges, Date.now());
+
+    for (const change of gisChanges) {
+        const g = change.geometry;
+        if (!g) continue;
+        const color = GIS_CHANGE_TYPES[change.type].color;
+        if (change.kind === 'camera') {
+            if (g.x === undefined || g.y === undefined) continue;
+            L.circleMarker([g.y, g.x], { radius: 15, color, weight: 3, fill: false, dashArray: '4 4', interactive: false })
+                .addTo(gisChangeLayer);
+        } else if (g.paths) {
+            arcgisPathsToLatLngs(g.paths).forEach(path => {
+                L.polyline(path, {
+                    color,
+                    weight: 14,
+                    opacity: 0.35,
+                    dashArray: change.type === 'removed' ? '4 10' : null,
+                    interactive: false
+                }).addTo(gisChangeLayer);
+            });
+        }
+    }
+}
 
-    // Re-render lanes to apply the override
-    if (allFeatures.length > 0) {
-        renderLanes(allFeatures, new Date());
+/** Number of changes the user hasn't opened the panel for yet, on the button. */
+function updateGisChangesBadge() {
+    const btn = document.getElementById('btnChanges');
+    if (!btn) return;
+    let seenAt = 0;
+    try { seenAt = Number(localStorage.getItem(GIS_CHANGES_SEEN_KEY)) || 0; } catch (e) {}
+    const unseen = gisChanges.filter(c => c.detectedAt > seenAt).length;
+    if (unseen > 0) btn.setAttribute('data-count', unseen > 99 ? '99+' : unseen);
+    else btn.removeAttribute('data-count');
+}
+
+function isChangesPanelOpen() {
+    const panel = document.getElementById('changesPanel');
+    return !!panel && panel.classList.contains('open');
+}
+
+function toggleChangesPanel() {
+    if (isChangesPanelOpen()) {
+        closeChangesPanel();
+        return;
     }
+    closeReportsPanel();
+    closeTimetablePanel();
+    closeMatchInspector();
+    closeQualityPanel();
+    closeRestrictionsPanel();
+    closeFiltersPanel();
+    document.getElementById('changesPanel').classList.add('open');
+    try { localStorage.setItem(GIS_CHANGES_SEEN_KEY, String(Date.now())); } catch (e) {}
+    updateGisChangesBadge();
+    renderChangesPanel();
+}
 
-    showBanner('🪧✅ שעות השלט נשמרו — המפה עודכנה');
+function closeChangesPanel() {
+    const panel = document.getElementById('changesPanel');
+    if (panel) panel.classList.remove('open');
+    clearSegmentHighlight();
 }
 
-function deleteReport(reportId) {
-    if (!confirm('למחוק את הדיווח?')) return;
-    deleteCommunityReport(reportId);
-    renderReportsList();
+function renderChangesPanel() {
+    const container = document.getElementById('changesContent');
+    if (gisChanges.length === 0) {
+        container.innerHTML = `
+            <div class="reports-empty">
+                <div class="empty-icon">🆕</div>
+                <div>לא זוהו שינויים בנתוני העירייה ב-${GIS_CHANGE_HIGHLIGHT_DAYS} הימים האחרונים</div>
+            </div>`;
+        return;
+    }
 
-    // Re-render lanes
-    if (allFeatures.length > 0) {
-        renderLanes(allFeatures, new Date());
+    _gisChangeRows = [];
+    const row = change => {
+        _gisChangeRows.push(change);
+        const when = new Date(change.detectedAt).toLocaleDateString('he-IL', { timeZone: CONFIG.timeZone });
+        const details = change.fields.map(f =>
+            `${GIS_FIELD_LABELS[f.field] || f.field}: ${f.before === null ? '—' : f.before} → ${f.after === null ? '—' : f.after}`);
+        if (change.geometryChanged) details.push('המיקום/התוואי השתנה');
+        return `<li>
+            <a href="#" class="dq-link" onclick="showGisChange(${_gisChangeRows.length - 1}); return false;">${change.label}</a>
+            <span class="dq-note">(${when})</span>
+            ${details.length > 0 ? `<div class="gis-change-details">${details.join('<br>')}</div>` : ''}
+        </li>`;
+    };
+
+    const sections = [];
+    for (const kind of ['lane', 'camera']) {
+        for (const type of Object.keys(GIS_CHANGE_TYPES)) {
+            const list = gisChanges.filter(c => c.kind === kind && c.type === type);
+            if (list.length === 0) continue;
+            const title = `${kind === 'lane' ? 'נתיבים' : 'מצלמות'} – ${GIS_CHANGE_TYPES[type].text}`;
+            sections.push(`
+                <div class="dq-title"><span class="gis-change-dot" style="background:${GIS_CHANGE_TYPES[type].color}"></span>${title} (${list.length})</div>
+                <ul class="dq-list">${list.map(row).join('')}</ul>`);
+        }
     }
+
+    container.innerHTML = `
+        <div class="dq-note">שינויים בשכבות ה-GIS של העירייה מאז ההורדה הקודמת. הם מסומנים במפה ${GIS_CHANGE_HIGHLIGHT_DAYS} ימים.</div>
+        ${sections.join('')}
+    `;
 }
 
-function zoomToReport(reportId) {
-    const reports = loadCommunityReports();
-    const report = reports.find(r => r.id === reportId);
-    if (!report || !report.lat || !report.lng) {
-        alert('אין מיקום GPS לדיווח זה');
+/** Outline one change and zoom to it (removed lanes are drawn from their stored shape). */
+function showGisChange(index) {
+    const change = _gisChangeRows[index];
+    if (!change || !change.geometry) return;
+    clearSegmentHighlight();
+    const g = change.geometry;
+    if (change.kind === 'camera') {
+        const pos = L.latLng(g.y, g.x);
+        L.circleMarker(pos, { radius: 14, color: '#8e44ad', weight: 3, fill: false }).addTo(segmentHighlightLayer);
+        map.setView(pos, 18);
         return;
     }
-    map.setView([report.lat, report.lng], 18);
-    closeReportsPanel();
+    const bounds = L.latLngBounds([]);
+    arcgisPathsToLatLngs(g.paths || []).forEach(path => {
+        L.polyline(path, { color: '#8e44ad', weight: 9, opacity: 0.6, interactive: false }).addTo(segmentHighlightLayer);
+        path.forEach(pt => bounds.extend(pt));
+    });
+    if (bounds.isValid()) map.fitBounds(bounds.pad(0.2));
 }
 
 // ============================================================
@@ -2786,16 +5747,24 @@ function enterSimPlanning() {
     _simMapClickHandler = function(e) { onSimMapClick(e); };
     map.on('click', _simMapClickHandler);
 
-    // Also add direct click on polylines as fallback (in case bubbling fails)
-    laneLayerGroup.eachLayer(layer => {
+    _addSimLaneClicks();
+
+    renderSimRouteList();
+}
+
+/**
+ * Direct click on lane polylines as a fallback for route building
+ * (in case bubbling to the map fails).
+ */
+function _addSimLaneClicks() {
+    forEachLanePolyline(layer => {
+        if (layer._simClickFn) return;
         layer._simClickFn = function(e) {
             L.DomEvent.stopPropagation(e);  // prevent double-fire
             onSimMapClick(e);
         };
         layer.on('click', layer._simClickFn);
     });
-
-    renderSimRouteList();
 }
 
 function _removeSimMapClick() {
@@ -2810,7 +5779,7 @@ function _removeSimMapClick() {
  */
 function _disableLanePopups() {
     map.closePopup();
-    laneLayerGroup.eachLayer(layer => {
+    forEachLanePolyline(layer => {
         if (layer.getPopup()) {
             layer._simSavedPopup = layer.getPopup();
             layer.unbindPopup();
@@ -2822,7 +5791,7 @@ function _disableLanePopups() {
  * Re-bind saved popups on lane polylines after planning is done.
  */
 function _restoreLanePopups() {
-    laneLayerGroup.eachLayer(layer => {
+    forEachLanePolyline(layer => {
         // Remove direct sim click handler
         if (layer._simClickFn) {
             layer.off('click', layer._simClickFn);
@@ -2877,18 +5846,10 @@ function onSimMapClick(e) {
     const clickPt = e.latlng;
 
     // Check if click is near a bus lane segment
-    let bestFeature = null;
-    let bestDist = Infinity;
-    for (const f of allFeatures) {
-        if (!f.geometry || !f.geometry.paths) continue;
-        const d = distanceToPolyline(clickPt, f.geometry.paths);
-        if (d < bestDist) {
-            bestDist = d;
-            bestFeature = f;
-        }
-    }
+    const nearest = findNearestSegment(clickPt, 40);
+    const bestFeature = nearest ? nearest.feature : null;
 
-    if (bestFeature && bestDist < 40) {
+    if (bestFeature) {
         // Check duplicate bus lane segments
         if (simRoute.some(item => item.type === 'segment' && item.feature.attributes.oid === bestFeature.attributes.oid)) {
             showBanner('⚠️ מקטע זה כבר במסלול');
@@ -3005,7 +5966,7 @@ function renderSimRouteList() {
 
         if (item.type === 'segment') {
             const a = item.feature.attributes;
-            const now = new Date();
+            const now = getEvaluationTime();
             const status = getLaneStatus(item.feature, now);
             const blockedClass = status.blocked ? ' sim-blocked' : '';
             const statusEmoji = status.blocked ? '🔴' : (status.category === 'unknown' ? '⚪' : '🟢');
@@ -3399,23 +6360,16 @@ function figureOutCurrentSegment(lat, lng) {
 }
 
 /**
- * Check and fire alerts for the current simulation position.
+ * Check and fire alerts for the current simulation position, at the
+ * evaluation time (planned time when set, see getEvaluationTime).
  */
 function checkSimAlerts(lat, lng) {
     const userPos = L.latLng(lat, lng);
-    const now = new Date();
+    const now = getEvaluationTime();
 
     // --- Find the nearest bus lane to the car (regardless of route type) ---
-    let nearestFeature = null;
-    let nearestDist = Infinity;
-    for (const feature of allFeatures) {
-        if (!feature.geometry || !feature.geometry.paths) continue;
-        const d = distanceToPolyline(userPos, feature.geometry.paths);
-        if (d < nearestDist && d < SEGMENT_MATCH_RADIUS) {
-            nearestDist = d;
-            nearestFeature = feature;
-        }
-    }
+    const nearest = findNearestSegment(userPos, SEGMENT_MATCH_RADIUS);
+    const nearestFeature = nearest ? nearest.feature : null;
 
     // --- Lane status alert (blocked / open) ---
     if (nearestFeature) {
@@ -3600,279 +6554,160 @@ function setupSimulator() {
 // Signalized Junctions — Fetch & Split
 // ============================================================
 
+// ============================================================
+// Geometric Schedule Matching — assign sub-features to the
+// schedule entry whose from/to junctions cover them
+// ============================================================
+
+const GEO_JUNCTION_SNAP = 60;   // metres — a span junction must be this close to the lane
+let _geoSectionByOid = {};      // sub-feature oid → "street|section" chosen by geometry
+
 /**
- * Fetch all signalized junction points from Layer 547.
- * Returns array of { name, lat, lng }.
+ * Project a point onto ArcGIS paths ([[lng, lat], …] rings).
+ * Returns { param, dist } — position along the whole line (0-1) and
+ * distance in metres — or null for a zero-length line.
  */
-async function fetchSignalizedJunctions() {
-    const baseUrl = 'https://gisn.tel-aviv.gov.il/arcgis/rest/services/IView2/MapServer/547';
-    let all = [];
-    let offset = 0;
-    const batchSize = 2000;
-    let hasMore = true;
-
-    while (hasMore) {
-        const params = new URLSearchParams({
-            where: '1=1',
-            outFields: 'shem_tzomet_win',
-            outSR: '4326',
-            f: 'json',
-            resultOffset: offset,
-            resultRecordCount: batchSize
-        });
-        try {
-            const resp = await fetch(`${baseUrl}/query?${params}`);
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const data = await resp.json();
-            if (data.error) throw new Error(data.error.message || 'ArcGIS error');
-            if (data.features && data.features.length > 0) {
-                data.features.forEach(f => {
-                    const g = f.geometry;
-                    if (g && g.x != null && g.y != null) {
-                        all.push({
-                            name: (f.attributes.shem_tzomet_win || '').trim(),
-                            lat: g.y,
-                            lng: g.x
-                        });
-                    }
-                });
-                offset += data.features.length;
-                hasMore = data.exceededTransferLimit === true;
-            } else {
-                hasMore = false;
-            }
-        } catch (e) {
-            console.error('Error fetching junctions:', e);
-            hasMore = false;
+function projectOntoPaths(lat, lng, paths) {
+    const point = L.latLng(lat, lng);
+    let total = 0;
+    let best = null;
+    const segments = [];
+    for (const path of paths) {
+        for (let i = 0; i < path.length - 1; i++) {
+            const a = L.latLng(path[i][1], path[i][0]);
+            const b = L.latLng(path[i + 1][1], path[i + 1][0]);
+            const len = a.distanceTo(b);
+            segments.push({ a, b, start: total, len });
+            total += len;
         }
     }
-    console.log(`Fetched ${all.length} signalized junctions from Layer 547`);
-    return all;
-}
+    if (total === 0) return null;
 
-/**
- * Split bus lane features at signalized junction points.
- *
- * For each feature's polyline, project every junction onto the line.
- * If the projection is within 25 m, record the parametric position (0-1).
- * Then split the polyline at those positions into sub-features.
- *
- * Sub-features inherit the parent's attributes and get:
- *   - oid  = "<parentOid>_<subIndex>"
- *   - _parentOid  = original numeric oid
- *   - _subIndex   = 0, 1, 2 …
- *   - from_street / to_street updated from junction names when available
- */
-function splitFeaturesAtJunctions(features, junctions) {
-    if (!junctions || junctions.length === 0) return features;
-
-    const SNAP_DIST = 25;        // metres — max distance to consider a junction "on" the lane
-    const ENDPOINT_SKIP = 0.05;  // skip junctions within 5 % of an endpoint (already a natural break)
-
-    // Haversine helpers (metres)
-    function _deg2rad(d) { return d * Math.PI / 180; }
-    function _haversine(lat1, lng1, lat2, lng2) {
-        const R = 6371000;
-        const dLat = _deg2rad(lat2 - lat1);
-        const dLng = _deg2rad(lng2 - lng1);
-        const a = Math.sin(dLat / 2) ** 2 +
-                  Math.cos(_deg2rad(lat1)) * Math.cos(_deg2rad(lat2)) * Math.sin(dLng / 2) ** 2;
-        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    }
-
-    // Project point P onto segment A→B.  Returns { t, dist } where t ∈ [0,1].
-    function _projectOntoSegment(pLat, pLng, aLat, aLng, bLat, bLng) {
-        const dx = bLng - aLng, dy = bLat - aLat;
+    for (const s of segments) {
+        const dx = s.b.lng - s.a.lng;
+        const dy = s.b.lat - s.a.lat;
         const len2 = dx * dx + dy * dy;
-        if (len2 === 0) return { t: 0, dist: _haversine(pLat, pLng, aLat, aLng) };
-        let t = ((pLng - aLng) * dx + (pLat - aLat) * dy) / len2;
+        let t = len2 > 0 ? ((lng - s.a.lng) * dx + (lat - s.a.lat) * dy) / len2 : 0;
         t = Math.max(0, Math.min(1, t));
-        const projLat = aLat + t * dy;
-        const projLng = aLng + t * dx;
-        return { t, dist: _haversine(pLat, pLng, projLat, projLng) };
-    }
-
-    // Given a polyline (array of rings from ArcGIS paths), compute cumulative
-    // distances along it and interpolate a parametric position (0-1 along total length).
-    // Returns the closest projection { param, dist, junctionName }.
-    function _projectOntoPolyline(jLat, jLng, rings) {
-        let bestDist = Infinity, bestParam = -1;
-        let cumLen = 0;
-        const segStarts = []; // cumulative length at start of each segment
-        const segments = [];
-
-        // Flatten rings into segments with cumulative lengths
-        for (const ring of rings) {
-            for (let i = 0; i < ring.length - 1; i++) {
-                const [aLng, aLat] = ring[i];
-                const [bLng, bLat] = ring[i + 1];
-                const segLen = _haversine(aLat, aLng, bLat, bLng);
-                segStarts.push(cumLen);
-                segments.push({ aLat, aLng, bLat, bLng, segLen });
-                cumLen += segLen;
-            }
-        }
-        if (cumLen === 0) return null;
-
-        for (let i = 0; i < segments.length; i++) {
-            const s = segments[i];
-            const proj = _projectOntoSegment(jLat, jLng, s.aLat, s.aLng, s.bLat, s.bLng);
-            if (proj.dist < bestDist) {
-                bestDist = proj.dist;
-                bestParam = (segStarts[i] + proj.t * s.segLen) / cumLen;
-            }
-        }
-        return { param: bestParam, dist: bestDist };
+        const dist = point.distanceTo(L.latLng(s.a.lat + t * dy, s.a.lng + t * dx));
+        if (!best || dist < best.dist) best = { param: (s.start + t * s.len) / total, dist };
     }
+    return best;
+}
 
-    // Interpolate a point on the polyline at parametric position p ∈ [0,1].
-    function _interpolatePolyline(rings, p) {
-        // Build flat list of points + cumulative lengths
-        const pts = [];
-        let cumLen = 0;
-        for (const ring of rings) {
-            for (let i = 0; i < ring.length; i++) {
-                const [lng, lat] = ring[i];
-                if (pts.length > 0) {
-                    const prev = pts[pts.length - 1];
-                    cumLen += _haversine(prev.lat, prev.lng, lat, lng);
-                }
-                pts.push({ lat, lng, cum: cumLen });
-            }
-        }
-        const totalLen = cumLen;
-        const targetLen = p * totalLen;
-
-        for (let i = 0; i < pts.length - 1; i++) {
-            if (pts[i + 1].cum >= targetLen) {
-                const segLen = pts[i + 1].cum - pts[i].cum;
-                const t = segLen > 0 ? (targetLen - pts[i].cum) / segLen : 0;
-                return [
-                    pts[i].lng + t * (pts[i + 1].lng - pts[i].lng),
-                    pts[i].lat + t * (pts[i + 1].lat - pts[i].lat)
-                ];
-            }
-        }
-        const last = pts[pts.length - 1];
-        return [last.lng, last.lat];
-    }
-
-    // Slice polyline between parametric positions p0 and p1 (0-1).
-    // Returns ArcGIS-style paths: [[[lng,lat], …]].
-    function _slicePolyline(rings, p0, p1) {
-        const pts = [];
-        let cumLen = 0;
-        for (const ring of rings) {
-            for (let i = 0; i < ring.length; i++) {
-                const [lng, lat] = ring[i];
-                if (pts.length > 0) {
-                    const prev = pts[pts.length - 1];
-                    cumLen += _haversine(prev.lat, prev.lng, lat, lng);
-                }
-                pts.push({ lat, lng, cum: cumLen });
-            }
-        }
-        const totalLen = cumLen;
-        const startLen = p0 * totalLen;
-        const endLen = p1 * totalLen;
-        const result = [];
+/**
+ * Street names in a junction name ("אבן גבירול / ארלוזורוב"), normalized.
+ */
+function getJunctionStreets(junction) {
+    if (!junction._streets) {
+        junction._streets = (junction.name || '')
+            .split(/\s*[-–\/\\|,+]\s*|\s+פינת\s+/)
+            .map(normalizeStreet)
+            .filter(Boolean);
+    }
+    return junction._streets;
+}
 
-        // Add interpolated start point
-        const startPt = _interpolatePolyline(rings, p0);
-        result.push(startPt);
+/**
+ * Where along a lane's line a cross street meets it.
+ * Junctions naming both the lane's street and the cross street are
+ * preferred; they may lie past either end of the line (the span runs
+ * beyond this feature), which yields param 0 or 1. Junctions naming
+ * only the cross street must be within GEO_JUNCTION_SNAP of the line.
+ * Returns a param (0-1) or null if the street can't be placed.
+ */
+function locateCrossStreet(crossStreet, laneStreet, paths, junctions) {
+    let best = null;
+    for (const j of junctions) {
+        const streets = getJunctionStreets(j);
+        if (!streets.some(s => isSameStreet(s, crossStreet))) continue;
+        const onLane = streets.some(s => isSameStreet(s, laneStreet));
+        const proj = projectOntoPaths(j.lat, j.lng, paths);
+        if (!proj) continue;
+        const atEnd = proj.param <= 0.001 || proj.param >= 0.999;
+        if (proj.dist > GEO_JUNCTION_SNAP && !(onLane && atEnd)) continue;
+        // Rank: junctions on the lane's street first, then the closest
+        const rank = (onLane ? 0 : 1e6) + proj.dist;
+        if (!best || rank < best.rank) best = { rank, param: proj.param };
+    }
+    return best ? best.param : null;
+}
 
-        // Add all original points that fall between p0 and p1
-        for (let i = 0; i < pts.length; i++) {
-            if (pts[i].cum > startLen + 0.01 && pts[i].cum < endLen - 0.01) {
-                result.push([pts[i].lng, pts[i].lat]);
-            }
-        }
+/**
+ * Param ranges [from, to] along `paths` covered by a schedule entry's
+ * parsed spans. Spans whose end-points can't both be placed are skipped.
+ */
+function getEntryCoverage(entry, laneStreet, paths, junctions) {
+    const parsed = parseSection(entry.section);
+    if (!parsed) return [];
+    const ranges = [];
+    for (const span of [parsed, ...parsed.extraSpans]) {
+        if (!span.fromStreet || !span.toStreet) continue;
+        const p0 = locateCrossStreet(span.fromStreet, laneStreet, paths, junctions);
+        const p1 = locateCrossStreet(span.toStreet, laneStreet, paths, junctions);
+        if (p0 === null || p1 === null || p0 === p1) continue;
+        ranges.push([Math.min(p0, p1), Math.max(p0, p1)]);
+    }
+    return ranges;
+}
 
-        // Add interpolated end point
-        const endPt = _interpolatePolyline(rings, p1);
-        result.push(endPt);
+/**
+ * For every (sub-)feature, pick the schedule entry of its street whose
+ * span covers most of it along the parent polyline. The choice is kept
+ * in _geoSectionByOid and used by findSchedule before text scoring.
+ * Sub-features carry _fromParam/_toParam from splitFeaturesAtJunctions.
+ */
+function assignSchedulesByGeometry(rawFeatures, features, junctions) {
+    _geoSectionByOid = {};
+    if (typeof SCHEDULE_BY_STREET === 'undefined' || !junctions || junctions.length === 0) return;
 
-        return [result];
-    }
+    const rawByOid = {};
+    for (const f of rawFeatures) rawByOid[f.attributes.oid || f.attributes.OBJECTID || 0] = f;
 
-    const output = [];
+    const coverageCache = {};   // "parentOid|street|section" → ranges
+    let assigned = 0;
 
     for (const feature of features) {
-        const geom = feature.geometry;
-        if (!geom || !geom.paths || geom.paths.length === 0) {
-            output.push(feature);
-            continue;
-        }
-
-        // Find junctions that project onto this polyline within SNAP_DIST
-        const splits = []; // { param, name }
-        for (const j of junctions) {
-            const proj = _projectOntoPolyline(j.lat, j.lng, geom.paths);
-            if (!proj) continue;
-            if (proj.dist <= SNAP_DIST && proj.param > ENDPOINT_SKIP && proj.param < (1 - ENDPOINT_SKIP)) {
-                splits.push({ param: proj.param, name: j.name });
+        const attrs = feature.attributes;
+        const parent = attrs._parentOid !== undefined ? rawByOid[attrs._parentOid] : feature;
+        if (!parent || !parent.geometry || !parent.geometry.paths) continue;
+
+        const laneStreet = STREET_ALIASES[normalizeStreet(attrs.street_name)] || normalizeStreet(attrs.street_name);
+        if (!laneStreet) continue;
+        const entries = Object.keys(SCHEDULE_BY_STREET)
+            .filter(key => isSameStreet(normalizeStreet(key), laneStreet))
+            .flatMap(key => SCHEDULE_BY_STREET[key]);
+        if (entries.length < 2) continue;   // nothing to choose between
+
+        const p0 = attrs._fromParam !== undefined ? attrs._fromParam : 0;
+        const p1 = attrs._toParam !== undefined ? attrs._toParam : 1;
+        const direction = attrs.direction_name || '';
+
+        let best = null;
+        for (const entry of entries) {
+            const dir = (parseSection(entry.section) || {}).direction;
+            if (direction && dir && dir !== 'both' && dir !== direction) continue;
+
+            const cacheKey = `${attrs._parentOid !== undefined ? attrs._parentOid : attrs.oid}|${entry.street}|${entry.section}`;
+            if (!coverageCache[cacheKey]) {
+                coverageCache[cacheKey] = getEntryCoverage(entry, laneStreet, parent.geometry.paths, junctions);
             }
-        }
-
-        if (splits.length === 0) {
-            // No junctions hit this feature — keep it unchanged
-            output.push(feature);
-            continue;
-        }
-
-        // Sort splits by parametric position
-        splits.sort((a, b) => a.param - b.param);
-
-        // Remove duplicates that are very close (< 1 % apart)
-        const uniqueSplits = [splits[0]];
-        for (let i = 1; i < splits.length; i++) {
-            if (splits[i].param - uniqueSplits[uniqueSplits.length - 1].param > 0.01) {
-                uniqueSplits.push(splits[i]);
+            let overlap = 0;
+            for (const [from, to] of coverageCache[cacheKey]) {
+                overlap += Math.max(0, Math.min(p1, to) - Math.max(p0, from));
             }
+            // Must cover the middle of the sub-feature, not just touch it
+            if (overlap < (p1 - p0) / 2) continue;
+            const score = overlap + matchScore(entry, feature) * 1e-3;
+            if (!best || score > best.score) best = { score, entry };
         }
 
-        // Build sub-features between consecutive split points
-        const breakpoints = [0, ...uniqueSplits.map(s => s.param), 1];
-        const parentOid = feature.attributes.oid || feature.attributes.OBJECTID || 0;
-
-        for (let i = 0; i < breakpoints.length - 1; i++) {
-            const p0 = breakpoints[i];
-            const p1 = breakpoints[i + 1];
-            const subPaths = _slicePolyline(geom.paths, p0, p1);
-
-            // Determine from/to street names for this sub-segment
-            let fromStreet = feature.attributes.from_street || '';
-            let toStreet = feature.attributes.to_street || '';
-
-            // Junction at the start of this segment (if not the very first)
-            if (i > 0 && uniqueSplits[i - 1]) {
-                fromStreet = uniqueSplits[i - 1].name || fromStreet;
-            }
-            // Junction at the end of this segment (if not the very last)
-            if (i < uniqueSplits.length && uniqueSplits[i]) {
-                toStreet = uniqueSplits[i].name || toStreet;
-            }
-
-            const subFeature = {
-                attributes: {
-                    ...feature.attributes,
-                    oid: `${parentOid}_${i}`,
-                    _parentOid: parentOid,
-                    _subIndex: i,
-                    from_street: fromStreet,
-                    to_street: toStreet
-                },
-                geometry: {
-                    ...geom,
-                    paths: subPaths
-                }
-            };
-            output.push(subFeature);
+        if (best) {
+            _geoSectionByOid[attrs.oid] = `${best.entry.street}|${best.entry.section}`;
+            assigned++;
         }
     }
-
-    console.log(`🔪 Split ${features.length} raw features → ${output.length} sub-features (${output.length - features.length} new splits)`);
-    return output;
+    console.log(`📐 Geometric schedule matching: ${assigned} segments assigned by junction spans`);
 }
 
 // ============================================================
@@ -3889,6 +6724,15 @@ async function init() {
     // Setup camera toggle
     setupCameraToggle();
 
+    // Setup planned-time scrubber
+    setupTimeTravel();
+
+    // Setup vehicle profile selector
+    setupVehicleProfile();
+
+    // Setup SVG / canvas lane rendering selector
+    setupRenderMode();
+
     // Setup driving controls (GPS, voice, driving mode)
     setupDriveControls();
 
@@ -3898,77 +6742,35 @@ async function init() {
     // Register service worker for PWA
     registerServiceWorker();
 
-    // Fetch data from Tel Aviv GIS (lanes + cameras in parallel)
     try {
-        const [lanes, cameras, junctions] = await Promise.all([
-            fetchAllFeatures(),
-            fetchAllCameras(),
-            fetchSignalizedJunctions()
+        // Start from the last stored download right away (works offline)
+        const [snapshot] = await Promise.all([
+            loadGisSnapshot(),
+            loadSharedSchedulePins()
         ]);
 
-        allRawFeatures = lanes;
-        allJunctions = junctions;
-        allCameras = cameras;
-
-        // Split bus lane features at signalized junctions
-        allFeatures = splitFeaturesAtJunctions(lanes, junctions);
-
-        if (allFeatures.length === 0 && allCameras.length === 0) {
-            document.querySelector('.loading-text').textContent = 'לא נמצאו נתונים';
-            document.querySelector('.loading-sub').textContent = 'נסה לרענן את הדף';
-            return;
-        }
-
-        // Render with current time
-        const now = new Date();
-        renderLanes(allFeatures, now);
-        renderCameras(allCameras);
-
-        // Build camera→segment offline index
-        buildCameraSegmentIndex();
-
-        // Build street autocomplete for sign reports
-        buildStreetAutocomplete();
-
-        // Log matching stats
-        let matched = 0, unmatched = 0;
-        const unmatchedStreets = new Set();
-        allFeatures.forEach(f => {
-            const sch = findSchedule(f);
-            if (sch) { matched++; }
-            else {
-                unmatched++;
-                if (f.attributes.street_name) unmatchedStreets.add(f.attributes.street_name);
+        if (snapshot) {
+            await applyGisSnapshot(snapshot);
+            startMapSession();
+            // Refresh from Tel Aviv GIS in the background
+            refreshGisData().catch(e => console.warn('Background GIS refresh failed:', e));
+        } else {
+            // First run: wait for Tel Aviv GIS (lanes + cameras + junctions in parallel)
+            const loaded = await refreshGisData();
+            if (!loaded) {
+                document.querySelector('.loading-text').textContent = 'לא נמצאו נתונים';
+                document.querySelector('.loading-sub').textContent = Object.values(gisLoadStatus).some(s => s.error)
+                    ? 'שרת ה-GIS של העירייה לא זמין – נסה לרענן את הדף'
+                    : 'נסה לרענן את הדף';
+                return;
             }
-        });
-        console.log(`📊 Schedule matching: ${matched} matched, ${unmatched} unmatched`);
-        if (unmatchedStreets.size > 0) {
-            console.log('⚠️ Unmatched streets:', [...unmatchedStreets].join(', '));
+            startMapSession();
         }
 
-        // Hide loading overlay
-        document.getElementById('loadingOverlay').classList.add('hidden');
-
-        // Auto-start GPS (blue dot always visible)
-        startGps();
-
-        // Start periodic refresh
-        startStatusRefresh();
-
-        // Sync shared reports from GitHub
-        syncReports().then(() => {
-            // Re-render lanes after sync (sign overrides may have changed)
-            renderLanes(allFeatures, new Date());
-        }).catch(e => console.warn('Initial sync failed:', e));
-
-        // Periodic sync every 3 minutes
-        setInterval(() => {
-            syncReports().then(() => {
-                renderLanes(allFeatures, new Date());
-            }).catch(() => {});
-        }, 3 * 60 * 1000);
-
-        console.log(`✅ Loaded ${allFeatures.length} bus lanes + ${allCameras.length} cameras. Day type: ${getDayType(now)}, Hour: ${getCurrentDecimalHour(now).toFixed(2)}`);
+        // Back online after running from the snapshot → fetch fresh data
+        window.addEventListener('online', () => {
+            if (gisDataFromSnapshot) refreshGisData().catch(() => {});
+        });
     } catch (error) {
         console.error('Failed to initialize:', error);
         document.querySelector('.loading-text').textContent = 'שגיאה בטעינת נתונים';
@@ -3976,5 +6778,36 @@ async function init() {
     }
 }
 
+/**
+ * Once the first data is on the map: hide the loading overlay and start
+ * GPS, the periodic refresh and the report sync.
+ */
+function startMapSession() {
+    // Hide loading overlay
+    document.getElementById('loadingOverlay').classList.add('hidden');
+
+    // Auto-start GPS (blue dot always visible)
+    startGps();
+
+    // Start periodic refresh
+    startStatusRefresh();
+
+    // Sync shared reports from GitHub
+    syncReports().then(() => {
+        // Re-render lanes after sync (sign overrides may have changed)
+        renderLanes(allFeatures, getEvaluationTime());
+    }).catch(e => console.warn('Initial sync failed:', e));
+
+    // Periodic sync every 3 minutes
+    setInterval(() => {
+        syncReports().then(() => {
+            renderLanes(allFeatures, getEvaluationTime());
+        }).catch(() => {});
+    }, 3 * 60 * 1000);
+
+    const now = getEvaluationTime();
+    console.log(`✅ Loaded ${allFeatures.length} bus lanes + ${allCameras.length} cameras. Day type: ${getDayType(now)}, Hour: ${getCurrentDecimalHour(now).toFixed(2)}`);
+}
+
 // Start the application
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,120 @@
+// ============================================================
+// ArcGIS Client — paginated queries against MapServer layers
+// One query loop for every municipal layer: paging via
+// exceededTransferLimit, retries with backoff, field selection,
+// where-clauses and envelopes, and an honest "complete or not".
+// ============================================================
+//
+// A layer description:
+//   url:       layer endpoint, e.g. '.../MapServer/611'
+//   name:      display name for logs and the UI
+//   where:     SQL where-clause (default '1=1')
+//   outFields: '*' or an array of field names (default '*')
+//   envelope:  [xmin, ymin, xmax, ymax] in WGS84 to limit the area (optional)
+//   pageSize:  features per request (default 2000, the server maximum)
+
+const ARCGIS_DEFAULTS = {
+    pageSize: 2000,
+    maxPages: 100,        // safety stop for servers that ignore resultOffset
+    maxRetries: 3,
+    retryDelayMs: 1000,   // doubled on every retry
+    timeoutMs: 30000
+};
+
+/** Query parameters of one page. */
+function buildArcGisParams(layer, offset, pageSize) {
+    const outFields = Array.isArray(layer.outFields) ? layer.outFields.join(',') : (layer.outFields || '*');
+    const params = {
+        where: layer.where || '1=1',
+        outFields,
+        outSR: '4326',
+        f: 'json',
+        resultOffset: offset,
+        resultRecordCount: pageSize
+    };
+    if (layer.envelope) {
+        params.geometry = layer.envelope.join(',');
+        params.geometryType = 'esriGeometryEnvelope';
+        params.inSR = '4326';
+        params.spatialRel = 'esriSpatialRelIntersects';
+    }
+    return new URLSearchParams(params);
+}
+
+/** Errors worth retrying: network failures, timeouts, 429 and 5xx. */
+function isRetryableArcGisError(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Fetch one page, retrying transient failures with exponential backoff.
+ * ArcGIS reports server errors inside a 200 response ({ error: { code } }),
+ * so those are turned into errors with the same status codes.
+ */
+async function fetchArcGisPage(url, options) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= options.maxRetries; attempt++) {
+        if (attempt > 0) {
+            const delay = options.retryDelayMs * Math.pow(2, attempt - 1) * (0.8 + Math.random() * 0.4);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), options.timeoutMs) : null;
+        try {
+            const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            const data = await response.json();
+            if (data.error) {
+                const error = new Error(data.error.message || 'ArcGIS API error');
+                error.status = data.error.code;
+                throw error;
+            }
+            return data;
+        } catch (error) {
+            lastError = error.name === 'AbortError' ? new Error('timeout') : error;
+            if (!isRetryableArcGisError(lastError)) break;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Fetch every feature of a layer, page by page.
+ * A failed page stops the load but keeps what was fetched so far.
+ * Returns: { layer, features, complete: boolean, pages, error: string|null }
+ */
+async function queryArcGisLayer(layer, options) {
+    options = { ...ARCGIS_DEFAULTS, ...options };
+    const pageSize = layer.pageSize || options.pageSize;
+    const result = { layer, features: [], complete: false, pages: 0, error: null };
+
+    while (result.pages < options.maxPages) {
+        const url = `${layer.url}/query?${buildArcGisParams(layer, result.features.length, pageSize)}`;
+        let data;
+        try {
+            data = await fetchArcGisPage(url, options);
+        } catch (error) {
+            result.error = error.message;
+            console.error(`Error fetching ${layer.name || layer.url} (page ${result.pages + 1}):`, error);
+            return result;
+        }
+        result.pages++;
+
+        const features = data.features || [];
+        result.features = result.features.concat(features);
+        // More pages only while the server says the transfer limit was hit
+        if (features.length === 0 || data.exceededTransferLimit !== true) {
+            result.complete = true;
+            return result;
+        }
+    }
+
+    result.error = `stopped after ${options.maxPages} pages`;
+    return result;
+}
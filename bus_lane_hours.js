@@ -11,8 +11,16 @@
 //   fri:     array of [start, end] ranges for Friday / holiday eves (ו׳ / ערבי חג)
 //   sat:     array of [start, end] ranges for Shabbat / holidays (שבת / חג)
 //   allWeek: true if "כל ימות השבוע בכל שעות היממה" (24/7)
+//   validFrom: optional 'YYYY-MM-DD' — first day the entry is in force
+//   validTo:   optional 'YYYY-MM-DD' — last day the entry is in force
+//
+// To schedule a change (roadworks, a new season), keep the current entry
+// with a validTo and add a second entry for the same street + section
+// with the new hours and a validFrom. Entries without dates never expire.
 //
 // Hours are in decimal: 7 = 07:00, 17.5 = 17:30, etc.
+// A range with end < start (e.g. [22, 6]) runs overnight: it belongs to the
+// day it starts on and continues into the next calendar day.
 
 const BUS_LANE_SCHEDULE = [
 
@@ -191,7 +199,6 @@ const BUS_LANE_SCHEDULE = [
 
     // קרליבך
     { street: 'קרליבך', section: 'ממערב למזרח: מרחוב החשמונאים עד דרך בגין', sun_thu: [[8, 10]], fri: [[8, 10]], sat: null },
-    { street: 'קרליבך', section: 'ממערב למזרח: מרחוב החשמונאים עד דרך בגין', sun_thu: [[8, 10]], fri: [[8, 10]], sat: null },
 
     // ראש פינה
     { street: 'ראש פינה', section: 'מצפון לדרום: מרחוב הרכבת עד רחוב לוינסקי', sun_thu: [[5, 22]], fri: [[5, 18]], sat: null },
@@ -409,19 +409,10 @@ function getSignOverride(feature) {
     const street = feature.attributes.street_name;
     if (!street) return null;
     if (SIGN_OVERRIDES[street]) return SIGN_OVERRIDES[street];
-    const norm = typeof normalizeStreet === 'function' ? normalizeStreet(street) : street.trim();
-    for (const key of Object.keys(SIGN_OVERRIDES)) {
-        const normKey = typeof normalizeStreet === 'function' ? normalizeStreet(key) : key.trim();
-        if (normKey === norm) return SIGN_OVERRIDES[key];
-    }
-    if (typeof STREET_ALIASES !== 'undefined') {
-        const aliased = STREET_ALIASES[norm] || norm;
-        for (const key of Object.keys(SIGN_OVERRIDES)) {
-            const normKey = typeof normalizeStreet === 'function' ? normalizeStreet(key) : key.trim();
-            if (normKey === aliased) return SIGN_OVERRIDES[key];
-        }
-    }
-    return null;
+    if (typeof findBestStreetMatch !== 'function') return null;
+    // Best street-wide override by name confidence (street_matcher.js)
+    const match = findBestStreetMatch(street, Object.keys(SIGN_OVERRIDES));
+    return match ? SIGN_OVERRIDES[match.name] : null;
 }
 
 function getReportsForStreet(streetName) {
@@ -430,6 +421,7 @@ function getReportsForStreet(streetName) {
     const norm = streetName.trim();
     return reports.filter(r => {
         if (!r.street) return false;
+        if (typeof isSameStreet === 'function') return isSameStreet(r.street, norm);
         return r.street.trim() === norm || r.street.includes(norm) || norm.includes(r.street);
     });
 }
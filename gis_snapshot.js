@@ -0,0 +1,166 @@
+// ============================================================
+// GIS Snapshot — last good download of the municipal layers
+// Kept in IndexedDB so the map starts instantly and keeps working
+// without signal (underground parking, the Kaplan tunnel).
+// ============================================================
+//
+// Snapshot record:
+//   savedAt:   ms timestamp of the download
+//   version:   GIS_SNAPSHOT_VERSION of the app that split the lanes
+//   lanes:     raw lane features (layer 611)
+//   cameras:   camera features (layer 949)
+//   junctions: parsed signalized junctions (layer 547)
+//
+// Next to it, under GIS_PREPROCESS_KEY, the last runGisPreprocess
+// result (preprocess.js): { hash, features, cameraMap }.
+
+const GIS_SNAPSHOT_DB = 'tlv_bus_lane_gis';
+const GIS_SNAPSHOT_STORE = 'snapshots';
+const GIS_SNAPSHOT_KEY = 'latest';
+const GIS_PREPROCESS_KEY = 'preprocessed';
+// Bump when the snapshot record format changes
+const GIS_SNAPSHOT_VERSION = 1;
+
+let _snapshotDbPromise = null;
+
+function openSnapshotDb() {
+    if (_snapshotDbPromise) return _snapshotDbPromise;
+    _snapshotDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+        const request = indexedDB.open(GIS_SNAPSHOT_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(GIS_SNAPSHOT_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed
+    _snapshotDbPromise.catch(() => { _snapshotDbPromise = null; });
+    return _snapshotDbPromise;
+}
+
+/** Run one request against the snapshot store and resolve with its result. */
+async function _snapshotRequest(mode, makeRequest) {
+    const db = await openSnapshotDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(GIS_SNAPSHOT_STORE, mode);
+        const request = makeRequest(tx.objectStore(GIS_SNAPSHOT_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * The stored snapshot, or null if there is none (or storage is unavailable).
+ */
+async function loadGisSnapshot() {
+    try {
+        const snapshot = await _snapshotRequest('readonly', store => store.get(GIS_SNAPSHOT_KEY));
+        return snapshot && Array.isArray(snapshot.lanes) ? snapshot : null;
+    } catch (e) {
+        console.warn('Could not read GIS snapshot:', e);
+        return null;
+    }
+}
+
+/** Replace the stored snapshot. Returns true on success. */
+async function saveGisSnapshot(snapshot) {
+    try {
+        await _snapshotRequest('readwrite', store => store.put({ ...snapshot, version: GIS_SNAPSHOT_VERSION }, GIS_SNAPSHOT_KEY));
+        return true;
+    } catch (e) {
+        console.warn('Could not save GIS snapshot:', e);
+        return false;
+    }
+}
+
+/** The cached preprocessing result, or null. */
+async function loadPreprocessCache() {
+    try {
+        const cache = await _snapshotRequest('readonly', store => store.get(GIS_PREPROCESS_KEY));
+        return cache && cache.hash && Array.isArray(cache.features) ? cache : null;
+    } catch (e) {
+        console.warn('Could not read preprocessing cache:', e);
+        return null;
+    }
+}
+
+/** Replace the cached preprocessing result. Returns true on success. */
+async function savePreprocessCache(result) {
+    try {
+        await _snapshotRequest('readwrite', store => store.put(
+            { hash: result.hash, features: result.features, cameraMap: result.cameraMap }, GIS_PREPROCESS_KEY));
+        return true;
+    } catch (e) {
+        console.warn('Could not save preprocessing cache:', e);
+        return false;
+    }
+}
+
+// ============================================================
+// Snapshot Diff — what changed in the municipal layers
+// ============================================================
+
+// Attributes whose change is worth telling the user about
+const GIS_DIFF_FIELDS = {
+    lanes: ['street_name', 'from_street', 'to_street', 'direction_name', 'type_of_nataz', 'status'],
+    cameras: ['status', 't_rechov1', 'ms_bayit1', 'sug']
+};
+
+function gisFeatureId(feature) {
+    const a = feature.attributes || {};
+    return String(a.oid !== undefined && a.oid !== null ? a.oid : a.OBJECTID);
+}
+
+/** Geometry rounded to ~10 cm, so re-projection noise isn't a change. */
+function gisGeometryKey(geometry) {
+    if (!geometry) return '';
+    const round = v => Math.round(v * 1e6);
+    if (geometry.paths) return JSON.stringify(geometry.paths.map(path => path.map(pt => [round(pt[0]), round(pt[1])])));
+    return `${round(geometry.x)},${round(geometry.y)}`;
+}
+
+/**
+ * Compare one layer of two downloads by oid/OBJECTID.
+ * Returns: {
+ *   added: [feature], removed: [feature],
+ *   modified: [{ before, after, fields: [{ field, before, after }], geometry: boolean }]
+ * }
+ */
+function diffGisLayer(previous, fresh, fields) {
+    const before = new Map(previous.map(f => [gisFeatureId(f), f]));
+    const result = { added: [], removed: [], modified: [] };
+
+    for (const after of fresh) {
+        const id = gisFeatureId(after);
+        const old = before.get(id);
+        if (!old) {
+            result.added.push(after);
+            continue;
+        }
+        before.delete(id);
+        const value = (feature, field) => feature.attributes[field] === undefined ? null : feature.attributes[field];
+        const changedFields = fields
+            .filter(field => value(old, field) !== value(after, field))
+            .map(field => ({ field, before: value(old, field), after: value(after, field) }));
+        const geometry = gisGeometryKey(old.geometry) !== gisGeometryKey(after.geometry);
+        if (changedFields.length > 0 || geometry) {
+            result.modified.push({ before: old, after, fields: changedFields, geometry });
+        }
+    }
+    result.removed = [...before.values()];
+    return result;
+}
+
+/**
+ * Compare a fresh download with the stored snapshot (lanes and cameras).
+ * Returns: { lanes: layerDiff, cameras: layerDiff, count }
+ */
+function diffGisSnapshots(previous, fresh) {
+    const lanes = diffGisLayer(previous.lanes || [], fresh.lanes || [], GIS_DIFF_FIELDS.lanes);
+    const cameras = diffGisLayer(previous.cameras || [], fresh.cameras || [], GIS_DIFF_FIELDS.cameras);
+    const count = [lanes, cameras].reduce((sum, d) => sum + d.added.length + d.removed.length + d.modified.length, 0);
+    return { lanes, cameras, count };
+}
@@ -0,0 +1,25 @@
+// ============================================================
+// GIS Worker — runs runGisPreprocess (preprocess.js) off the main
+// thread so the loading screen stays responsive.
+// ============================================================
+//
+// In:  { lanes, cameras, junctions, cachedHash }
+// Out: { type: 'progress', stage, done, total }
+//      { type: 'result', result }   see runGisPreprocess
+//      { type: 'error', message }
+
+// Same ?v= as the page (see ASSET_QUERY in app.js), so the shared
+// scripts come from the same release as the worker
+const assetQuery = self.location.search;
+importScripts(`street_matcher.js${assetQuery}`, `spatial_index.js${assetQuery}`, `preprocess.js${assetQuery}`);
+
+self.onmessage = event => {
+    try {
+        const result = runGisPreprocess(event.data, (stage, done, total) => {
+            self.postMessage({ type: 'progress', stage, done, total });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (e) {
+        self.postMessage({ type: 'error', message: e.message });
+    }
+};
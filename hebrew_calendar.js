@@ -0,0 +1,141 @@
+// ============================================================
+// Hebrew Calendar — Israeli holidays (offline)
+// Computes Rosh Hashana with the standard molad arithmetic and
+// derives every other holiday from fixed offsets, so no network
+// or Intl calendar support is needed.
+// ============================================================
+//
+// Each holiday day has:
+//   kind:    'erev' | 'chag' | 'chol_hamoed' | 'national'
+//   name:    holiday name (e.g. 'שבועות')
+//   dayType: schedule day type it maps to ('fri' / 'sat')
+//   label:   text shown to the user (e.g. 'ערב חג – שבועות')
+//
+// Israel rules: one day of Yom Tov (no second day outside Rosh Hashana),
+// Shemini Atzeret and Simchat Torah on the same day.
+
+// Schedule day type for each kind of holiday day.
+// Erev chag is like Friday, chag is like Shabbat. Half-holidays
+// (Chol HaMoed, Yom HaAtzmaut) run on the reduced Friday schedule.
+const HOLIDAY_DAY_TYPES = {
+    erev: 'fri',
+    chag: 'sat',
+    chol_hamoed: 'fri',
+    national: 'fri'
+};
+
+const HOLIDAY_KIND_LABELS = {
+    erev: 'ערב חג',
+    chag: 'חג',
+    chol_hamoed: 'חול המועד',
+    national: 'חג לאומי'
+};
+
+const HEBREW_EPOCH_RD = -1373427;   // R.D. of 1 Tishrei AM 1
+const UNIX_EPOCH_RD = 719163;       // R.D. of 1970-01-01
+const MS_PER_DAY = 86400000;
+
+let _holidayCache = {};   // gregorianYear → { 'YYYY-MM-DD': holiday }
+
+/**
+ * Days from the Hebrew epoch to Rosh Hashana of the given year,
+ * before the year-length postponements (molad + לא אד״ו ראש).
+ */
+function _hebrewElapsedDays(year) {
+    const monthsElapsed = Math.floor((235 * year - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+    return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+/** Extra postponement so no year is 356 or 382 days long. */
+function _hebrewYearLengthCorrection(year) {
+    const ny0 = _hebrewElapsedDays(year - 1);
+    const ny1 = _hebrewElapsedDays(year);
+    const ny2 = _hebrewElapsedDays(year + 1);
+    if (ny2 - ny1 === 356) return 2;
+    if (ny1 - ny0 === 382) return 1;
+    return 0;
+}
+
+/** R.D. day number of 1 Tishrei of the given Hebrew year. */
+function roshHashanaRd(hebrewYear) {
+    return HEBREW_EPOCH_RD + _hebrewElapsedDays(hebrewYear) + _hebrewYearLengthCorrection(hebrewYear);
+}
+
+/** 'YYYY-MM-DD' key for an R.D. day number. */
+function _rdToDateKey(rd) {
+    const d = new Date((rd - UNIX_EPOCH_RD) * MS_PER_DAY);
+    return civilDateKey(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+/** Day of week (0 = Sunday) of an R.D. day number. */
+function _rdWeekday(rd) {
+    return ((rd % 7) + 7) % 7;
+}
+
+function civilDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Build all holiday days that fall in a Gregorian year.
+ * The fall holidays belong to Hebrew year (G + 3761); the spring
+ * holidays are counted back from that same Rosh Hashana.
+ */
+function getHolidaysForYear(gregorianYear) {
+    if (_holidayCache[gregorianYear]) return _holidayCache[gregorianYear];
+
+    const days = {};
+    function add(rd, kind, name) {
+        days[_rdToDateKey(rd)] = {
+            kind,
+            name,
+            dayType: HOLIDAY_DAY_TYPES[kind],
+            label: `${HOLIDAY_KIND_LABELS[kind]} – ${name}`
+        };
+    }
+
+    const rh = roshHashanaRd(gregorianYear + 3761);
+
+    // ---- Tishrei ----
+    add(rh - 1, 'erev', 'ראש השנה');
+    add(rh, 'chag', 'ראש השנה');
+    add(rh + 1, 'chag', 'ראש השנה');
+    add(rh + 8, 'erev', 'יום כיפור');
+    add(rh + 9, 'chag', 'יום כיפור');
+    add(rh + 13, 'erev', 'סוכות');
+    add(rh + 14, 'chag', 'סוכות');
+    for (let i = 15; i <= 19; i++) add(rh + i, 'chol_hamoed', 'סוכות');
+    add(rh + 20, 'erev', 'שמחת תורה');           // הושענא רבה
+    add(rh + 21, 'chag', 'שמחת תורה');
+
+    // ---- Nisan – Sivan (15 Nisan is always 163 days before Rosh Hashana) ----
+    const pesach = rh - 163;
+    add(pesach - 1, 'erev', 'פסח');
+    add(pesach, 'chag', 'פסח');
+    for (let i = 1; i <= 4; i++) add(pesach + i, 'chol_hamoed', 'פסח');
+    add(pesach + 5, 'erev', 'שביעי של פסח');
+    add(pesach + 6, 'chag', 'שביעי של פסח');
+    add(pesach + 49, 'erev', 'שבועות');
+    add(pesach + 50, 'chag', 'שבועות');
+
+    // ---- Yom HaAtzmaut (5 Iyar, moved away from Shabbat and Monday) ----
+    let atzmaut = pesach + 20;
+    const wd = _rdWeekday(atzmaut);
+    if (wd === 5) atzmaut -= 1;        // Friday → Thursday
+    else if (wd === 6) atzmaut -= 2;   // Shabbat → Thursday
+    else if (wd === 1) atzmaut += 1;   // Monday → Tuesday
+    add(atzmaut, 'national', 'יום העצמאות');
+
+    _holidayCache[gregorianYear] = days;
+    return days;
+}
+
+/**
+ * Look up the holiday on a civil date (month is 1-12).
+ * Returns { kind, name, dayType, label } or null.
+ */
+function getHoliday(year, month, day) {
+    return getHolidaysForYear(year)[civilDateKey(year, month, day)] || null;
+}
@@ -0,0 +1,466 @@
+// ============================================================
+// GIS Preprocessing — junction splitting and camera indexing
+// Plain functions with no Leaflet or DOM, shared by the page and
+// gis_worker.js (which runs them off the main thread).
+// ============================================================
+//
+// runGisPreprocess({ lanes, cameras, junctions, cachedHash }, onProgress)
+//   → { hash, cached: true }                      input unchanged
+//   → { hash, features, cameraMap }               split lanes + camera index
+// The hash covers the input and PREPROCESS_VERSION, so results cached
+// under it stay valid until the data or these algorithms change.
+
+// Bump when splitFeaturesAtJunctions or computeCameraSegmentMap change
+// (including the street matching they rely on)
+const PREPROCESS_VERSION = 2;
+
+/** Great-circle distance in metres (same formula as Leaflet's distanceTo). */
+function haversineMetres(lat1, lng1, lat2, lng2) {
+    const R = 6371000;
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLng = (lng2 - lng1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Calculate minimum distance from a point ({ lat, lng }, e.g. L.LatLng)
+ * to a polyline in meters
+ */
+function distanceToPolyline(point, paths) {
+    let minDist = Infinity;
+    for (const path of paths) {
+        for (let i = 0; i < path.length - 1; i++) {
+            const a = { lat: path[i][1], lng: path[i][0] }; // ArcGIS [lng, lat]
+            const b = { lat: path[i + 1][1], lng: path[i + 1][0] };
+            const dist = distPointToSegment(point, a, b);
+            if (dist < minDist) minDist = dist;
+        }
+    }
+    return minDist;
+}
+
+/**
+ * Distance from point P to line segment AB in meters
+ */
+function distPointToSegment(p, a, b) {
+    const dx = b.lng - a.lng;
+    const dy = b.lat - a.lat;
+    if (dx === 0 && dy === 0) return haversineMetres(p.lat, p.lng, a.lat, a.lng);
+
+    let t = ((p.lng - a.lng) * dx + (p.lat - a.lat) * dy) / (dx * dx + dy * dy);
+    t = Math.max(0, Math.min(1, t));
+    return haversineMetres(p.lat, p.lng, a.lat + t * dy, a.lng + t * dx);
+}
+
+/**
+ * Split bus lane features at signalized junction points.
+ *
+ * For each feature's polyline, project every junction onto the line.
+ * If the projection is within 25 m, record the parametric position (0-1).
+ * Then split the polyline at those positions into sub-features.
+ *
+ * Sub-features inherit the parent's attributes and get:
+ *   - oid  = "<parentOid>_<subIndex>"
+ *   - _parentOid  = original numeric oid
+ *   - _subIndex   = 0, 1, 2 …
+ *   - _fromParam / _toParam = position of the slice along the parent (0-1)
+ *   - from_street / to_street updated from junction names when available
+ *
+ * onProgress(done, total) is called every few hundred features (optional).
+ */
+function splitFeaturesAtJunctions(features, junctions, onProgress) {
+    if (!junctions || junctions.length === 0) return features;
+
+    const SNAP_DIST = 25;        // metres — max distance to consider a junction "on" the lane
+    const ENDPOINT_SKIP = 0.05;  // skip junctions within 5 % of an endpoint (already a natural break)
+
+    // Haversine helpers (metres)
+    function _deg2rad(d) { return d * Math.PI / 180; }
+    function _haversine(lat1, lng1, lat2, lng2) {
+        const R = 6371000;
+        const dLat = _deg2rad(lat2 - lat1);
+        const dLng = _deg2rad(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(_deg2rad(lat1)) * Math.cos(_deg2rad(lat2)) * Math.sin(dLng / 2) ** 2;
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Project point P onto segment A→B.  Returns { t, dist } where t ∈ [0,1].
+    function _projectOntoSegment(pLat, pLng, aLat, aLng, bLat, bLng) {
+        const dx = bLng - aLng, dy = bLat - aLat;
+        const len2 = dx * dx + dy * dy;
+        if (len2 === 0) return { t: 0, dist: _haversine(pLat, pLng, aLat, aLng) };
+        let t = ((pLng - aLng) * dx + (pLat - aLat) * dy) / len2;
+        t = Math.max(0, Math.min(1, t));
+        const projLat = aLat + t * dy;
+        const projLng = aLng + t * dx;
+        return { t, dist: _haversine(pLat, pLng, projLat, projLng) };
+    }
+
+    // Given a polyline (array of rings from ArcGIS paths), compute cumulative
+    // distances along it and interpolate a parametric position (0-1 along total length).
+    // Returns the closest projection { param, dist, junctionName }.
+    function _projectOntoPolyline(jLat, jLng, rings) {
+        let bestDist = Infinity, bestParam = -1;
+        let cumLen = 0;
+        const segStarts = []; // cumulative length at start of each segment
+        const segments = [];
+
+        // Flatten rings into segments with cumulative lengths
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [aLng, aLat] = ring[i];
+                const [bLng, bLat] = ring[i + 1];
+                const segLen = _haversine(aLat, aLng, bLat, bLng);
+                segStarts.push(cumLen);
+                segments.push({ aLat, aLng, bLat, bLng, segLen });
+                cumLen += segLen;
+            }
+        }
+        if (cumLen === 0) return null;
+
+        for (let i = 0; i < segments.length; i++) {
+            const s = segments[i];
+            const proj = _projectOntoSegment(jLat, jLng, s.aLat, s.aLng, s.bLat, s.bLng);
+            if (proj.dist < bestDist) {
+                bestDist = proj.dist;
+                bestParam = (segStarts[i] + proj.t * s.segLen) / cumLen;
+            }
+        }
+        return { param: bestParam, dist: bestDist };
+    }
+
+    // Interpolate a point on the polyline at parametric position p ∈ [0,1].
+    function _interpolatePolyline(rings, p) {
+        // Build flat list of points + cumulative lengths
+        const pts = [];
+        let cumLen = 0;
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i++) {
+                const [lng, lat] = ring[i];
+                if (pts.length > 0) {
+                    const prev = pts[pts.length - 1];
+                    cumLen += _haversine(prev.lat, prev.lng, lat, lng);
+                }
+                pts.push({ lat, lng, cum: cumLen });
+            }
+        }
+        const totalLen = cumLen;
+        const targetLen = p * totalLen;
+
+        for (let i = 0; i < pts.length - 1; i++) {
+            if (pts[i + 1].cum >= targetLen) {
+                const segLen = pts[i + 1].cum - pts[i].cum;
+                const t = segLen > 0 ? (targetLen - pts[i].cum) / segLen : 0;
+                return [
+                    pts[i].lng + t * (pts[i + 1].lng - pts[i].lng),
+                    pts[i].lat + t * (pts[i + 1].lat - pts[i].lat)
+                ];
+            }
+        }
+        const last = pts[pts.length - 1];
+        return [last.lng, last.lat];
+    }
+
+    // Slice polyline between parametric positions p0 and p1 (0-1).
+    // Returns ArcGIS-style paths: [[[lng,lat], …]].
+    function _slicePolyline(rings, p0, p1) {
+        const pts = [];
+        let cumLen = 0;
+        for (const ring of rings) {
+            for (let i = 0; i < ring.length; i++) {
+                const [lng, lat] = ring[i];
+                if (pts.length > 0) {
+                    const prev = pts[pts.length - 1];
+                    cumLen += _haversine(prev.lat, prev.lng, lat, lng);
+                }
+                pts.push({ lat, lng, cum: cumLen });
+            }
+        }
+        const totalLen = cumLen;
+        const startLen = p0 * totalLen;
+        const endLen = p1 * totalLen;
+        const result = [];
+
+        // Add interpolated start point
+        const startPt = _interpolatePolyline(rings, p0);
+        result.push(startPt);
+
+        // Add all original points that fall between p0 and p1
+        for (let i = 0; i < pts.length; i++) {
+            if (pts[i].cum > startLen + 0.01 && pts[i].cum < endLen - 0.01) {
+                result.push([pts[i].lng, pts[i].lat]);
+            }
+        }
+
+        // Add interpolated end point
+        const endPt = _interpolatePolyline(rings, p1);
+        result.push(endPt);
+
+        return [result];
+    }
+
+    const output = [];
+
+    features.forEach((feature, index) => {
+        if (onProgress && index % 200 === 0) onProgress(index, features.length);
+        const geom = feature.geometry;
+        if (!geom || !geom.paths || geom.paths.length === 0) {
+            output.push(feature);
+            return;
+        }
+
+        // Find junctions that project onto this polyline within SNAP_DIST
+        const splits = []; // { param, name }
+        for (const j of junctions) {
+            const proj = _projectOntoPolyline(j.lat, j.lng, geom.paths);
+            if (!proj) continue;
+            if (proj.dist <= SNAP_DIST && proj.param > ENDPOINT_SKIP && proj.param < (1 - ENDPOINT_SKIP)) {
+                splits.push({ param: proj.param, name: j.name });
+            }
+        }
+
+        if (splits.length === 0) {
+            // No junctions hit this feature — keep it unchanged
+            output.push(feature);
+            return;
+        }
+
+        // Sort splits by parametric position
+        splits.sort((a, b) => a.param - b.param);
+
+        // Remove duplicates that are very close (< 1 % apart)
+        const uniqueSplits = [splits[0]];
+        for (let i = 1; i < splits.length; i++) {
+            if (splits[i].param - uniqueSplits[uniqueSplits.length - 1].param > 0.01) {
+                uniqueSplits.push(splits[i]);
+            }
+        }
+
+        // Build sub-features between consecutive split points
+        const breakpoints = [0, ...uniqueSplits.map(s => s.param), 1];
+        const parentOid = feature.attributes.oid || feature.attributes.OBJECTID || 0;
+
+        for (let i = 0; i < breakpoints.length - 1; i++) {
+            const p0 = breakpoints[i];
+            const p1 = breakpoints[i + 1];
+            const subPaths = _slicePolyline(geom.paths, p0, p1);
+
+            // Determine from/to street names for this sub-segment
+            let fromStreet = feature.attributes.from_street || '';
+            let toStreet = feature.attributes.to_street || '';
+
+            // Junction at the start of this segment (if not the very first)
+            if (i > 0 && uniqueSplits[i - 1]) {
+                fromStreet = uniqueSplits[i - 1].name || fromStreet;
+            }
+            // Junction at the end of this segment (if not the very last)
+            if (i < uniqueSplits.length && uniqueSplits[i]) {
+                toStreet = uniqueSplits[i].name || toStreet;
+            }
+
+            const subFeature = {
+                attributes: {
+                    ...feature.attributes,
+                    oid: `${parentOid}_${i}`,
+                    _parentOid: parentOid,
+                    _subIndex: i,
+                    _fromParam: p0,
+                    _toParam: p1,
+                    from_street: fromStreet,
+                    to_street: toStreet
+                },
+                geometry: {
+                    ...geom,
+                    paths: subPaths
+                }
+            };
+            output.push(subFeature);
+        }
+    });
+
+    console.log(`🔪 Split ${features.length} raw features → ${output.length} sub-features (${output.length - features.length} new splits)`);
+    return output;
+}
+
+/**
+ * Build offline index mapping each camera to its bus-lane segment(s).
+ *
+ * Algorithm per camera:
+ *  1. Match camera street (t_rechov1) to bus-lane street_name
+ *     (best matchStreetNames confidence, see street_matcher.js).
+ *  2. Find all segments of that street within 60 m of the camera.
+ *  3a. If only one-way segments found → assign to the closest one.
+ *  3b. If two opposing-direction segments found AND camera has a
+ *      house number (ms_bayit1) → pick the side whose polyline is
+ *      closer to the "house-number side" of the street
+ *      (even → left side of ascending direction, odd → right side).
+ *  3c. If no house number AND the two segments are < 10 m apart at
+ *      the camera location → assign camera to BOTH (bidirectional).
+ *  4. Cameras with no street match are left unmapped.
+ *
+ * Returns: { camOBJECTID: { segments: [oid, …], bidirectional: bool } }
+ * onProgress(done, total) is called every hundred cameras (optional).
+ */
+function computeCameraSegmentMap(features, cameras, onProgress) {
+    const result = {};
+    if (features.length === 0 || cameras.length === 0) return result;
+    const grid = createSegmentGrid(features);
+
+    // Pre-group bus-lane features by normalised street name
+    const lanesByStreet = {};
+    for (const f of features) {
+        const sn = f.attributes.street_name;
+        if (!sn) continue;
+        const norm = normalizeStreet(sn);
+        lanesByStreet[norm] = lanesByStreet[norm] || [];
+        lanesByStreet[norm].push(f);
+    }
+    const laneStreets = Object.keys(lanesByStreet);
+
+    const CAM_SNAP_RADIUS = 60;  // metres
+
+    cameras.forEach((cam, index) => {
+        if (onProgress && index % 100 === 0) onProgress(index, cameras.length);
+        const a = cam.attributes;
+        const g = cam.geometry;
+        if (!g || g.x === undefined || g.y === undefined) return;
+
+        const camPos = { lat: g.y, lng: g.x };
+        const camStreet = normalizeStreet(a.t_rechov1 || '');
+        if (!camStreet) return;
+
+        // Find the best-matching bus-lane street
+        const match = findBestStreetMatch(camStreet, laneStreets);
+        const candidates = match ? lanesByStreet[match.name] : [];
+
+        if (candidates.length === 0) return;
+
+        // Find segments within snap radius, sorted by distance
+        const candidateSet = new Set(candidates);
+        const nearby = segmentGridCandidates(grid, camPos.lat, camPos.lng, CAM_SNAP_RADIUS)
+            .filter(f => candidateSet.has(f))
+            .map(f => ({ feature: f, dist: distanceToPolyline(camPos, f.geometry.paths) }))
+            .filter(n => n.dist < CAM_SNAP_RADIUS)
+            .sort((x, y) => x.dist - y.dist);
+        if (nearby.length === 0) return;
+
+        // Classify: how many distinct directions?
+        const dirGroups = {};  // direction → [{ feature, dist }]
+        for (const n of nearby) {
+            const dir = n.feature.attributes.direction_name || 'none';
+            dirGroups[dir] = dirGroups[dir] || [];
+            dirGroups[dir].push(n);
+        }
+        const distinctDirs = Object.keys(dirGroups).filter(d => d !== 'none');
+
+        let assignedSegments = [];
+        let bidirectional = false;
+
+        if (nearby.length === 1 || distinctDirs.length <= 1) {
+            // Single segment or all same direction → assign closest
+            assignedSegments = [nearby[0].feature];
+        } else if (distinctDirs.length >= 2) {
+            // Two or more opposing directions
+            const houseNum = parseInt(a.ms_bayit1);
+
+            if (houseNum > 0) {
+                // Use house number to pick side.
+                // Concept: for a N-bound segment, even numbers are on the west (left)
+                // and odd on the east (right) — or vice-versa depending on the city.
+                // We use a geometric approach: offset the camera position slightly
+                // perpendicular to each segment and see which is closer.
+                const isEven = houseNum % 2 === 0;
+
+                // Pick the two closest segments from different directions
+                const seg1 = nearby[0];
+                let seg2 = nearby.find(n =>
+                    (n.feature.attributes.direction_name || 'none') !==
+                    (seg1.feature.attributes.direction_name || 'none')
+                );
+
+                if (seg2) {
+                    // The camera is physically closer to one side — the house number
+                    // tells us which side it's mounted on. Use the closest segment
+                    // that matches the camera's physical position.
+                    // Simpler heuristic: even house numbers → pick westernmost/southernmost
+                    // segment, odd → easternmost/northernmost. But since the camera
+                    // position IS on one side, just pick the nearest segment.
+                    // The house number mainly confirms the side, so nearest is correct.
+                    if (Math.abs(seg1.dist - seg2.dist) < 3) {
+                        // Too close to tell — use house number parity
+                        // In Tel Aviv convention: even numbers on ascending side
+                        const dir1 = seg1.feature.attributes.direction_name || '';
+                        const ascendingDirs = ['N', 'NE', 'E'];
+                        const isDir1Ascending = ascendingDirs.includes(dir1);
+                        if (isEven === isDir1Ascending) {
+                            assignedSegments = [seg1.feature];
+                        } else {
+                            assignedSegments = [seg2.feature];
+                        }
+                    } else {
+                        // Clear distance difference — nearest segment is the correct side
+                        assignedSegments = [seg1.feature];
+                    }
+                } else {
+                    assignedSegments = [seg1.feature];
+                }
+            } else {
+                // No house number — check distance between opposing segments
+                const seg1 = nearby[0];
+                const seg2 = nearby.find(n =>
+                    (n.feature.attributes.direction_name || 'none') !==
+                    (seg1.feature.attributes.direction_name || 'none')
+                );
+
+                if (seg2 && Math.abs(seg1.dist - seg2.dist) < 10) {
+                    // Less than 10m apart — assign to both (bidirectional)
+                    assignedSegments = [seg1.feature, seg2.feature];
+                    bidirectional = true;
+                } else {
+                    // One is clearly closer
+                    assignedSegments = [seg1.feature];
+                }
+            }
+        }
+
+        if (assignedSegments.length > 0) {
+            result[a.OBJECTID] = {
+                segments: assignedSegments.map(f => f.attributes.oid),
+                bidirectional: bidirectional
+            };
+        }
+    });
+
+    return result;
+}
+
+/** 53-bit string hash (cyrb53), as a hex string. */
+function hashString(str) {
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Split the lanes and index the cameras, unless the input hashes to
+ * `cachedHash`. onProgress(stage, done, total) with stage 'split' | 'cameras'.
+ */
+function runGisPreprocess(input, onProgress) {
+    const hash = hashString(JSON.stringify([PREPROCESS_VERSION, input.lanes, input.cameras, input.junctions]));
+    if (hash === input.cachedHash) return { hash, cached: true };
+
+    const progress = stage => onProgress ? (done, total) => onProgress(stage, done, total) : null;
+    const features = splitFeaturesAtJunctions(input.lanes, input.junctions, progress('split'));
+    const cameraMap = computeCameraSegmentMap(features, input.cameras, progress('cameras'));
+    return { hash, features, cameraMap };
+}
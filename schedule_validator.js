@@ -0,0 +1,205 @@
+// ============================================================
+// Schedule Validator — lint bus_lane_hours.js
+// bus_lane_hours.js is typed in by hand from the municipality's
+// pages and screenshots. This checks BUS_LANE_SCHEDULE and
+// SCHEDULE_BY_STREET for data mistakes before they reach the map.
+//
+// Browser: runs on load in debug mode (?debug=1 or
+//          localStorage 'tlv_bus_lane_debug' = '1'), report in console.
+// Node:    node schedule_validator.js   (exit code 1 on errors)
+// ============================================================
+
+const SCHEDULE_DAY_KEYS = ['sun_thu', 'fri', 'sat'];
+const SCHEDULE_DAY_LABELS = { sun_thu: 'א׳-ה׳', fri: 'ו׳', sat: 'ש׳' };
+const SCHEDULE_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate the schedule data.
+ * Errors are data that the map would evaluate wrongly; warnings are
+ * entries that are legal but probably not what was meant.
+ * Returns: { entries: number, errors: [issue], warnings: [issue] }
+ *   issue = { index, street, section, message }
+ */
+function validateSchedule(schedule, byStreet) {
+    const errors = [];
+    const warnings = [];
+    const issue = (list, index, entry, message) => list.push({
+        index,
+        street: entry ? entry.street : '',
+        section: entry ? entry.section : '',
+        message
+    });
+
+    schedule.forEach((entry, index) => {
+        if (!entry.street) issue(errors, index, entry, 'חסר שם רחוב (street)');
+        if (!entry.section) issue(warnings, index, entry, 'חסר תיאור קטע (section)');
+
+        const hasRanges = SCHEDULE_DAY_KEYS.some(k => Array.isArray(entry[k]) && entry[k].length > 0);
+        if (entry.allWeek) {
+            if (hasRanges) issue(errors, index, entry, 'allWeek יחד עם טווחי שעות – לא ברור מה חל');
+        } else if (!('sun_thu' in entry)) {
+            issue(errors, index, entry, 'חסר sun_thu (שעות א׳-ה׳)');
+        } else if (!hasRanges) {
+            issue(warnings, index, entry, 'אין אף טווח שעות – הנת״צ לעולם לא חסום');
+        }
+
+        for (const key of SCHEDULE_DAY_KEYS) {
+            if (entry[key] === undefined || entry[key] === null) continue;
+            if (!Array.isArray(entry[key])) {
+                issue(errors, index, entry, `${key} אינו מערך`);
+                continue;
+            }
+            validateRanges(entry[key], SCHEDULE_DAY_LABELS[key], msg => issue(errors, index, entry, msg));
+        }
+
+        validateValidity(entry, msg => issue(errors, index, entry, msg));
+    });
+
+    // Duplicate street + section with overlapping validity
+    const seen = {};
+    schedule.forEach((entry, index) => {
+        const key = `${entry.street}|${entry.section}`;
+        for (const prev of seen[key] || []) {
+            if (validityOverlaps(schedule[prev], entry)) {
+                issue(errors, index, entry, `כפילות רחוב + קטע (זהה לרשומה #${prev})`);
+            }
+        }
+        (seen[key] = seen[key] || []).push(index);
+    });
+
+    // The street index must hold exactly the entries of the array
+    if (byStreet) {
+        let indexed = 0;
+        for (const [street, entries] of Object.entries(byStreet)) {
+            for (const entry of entries) {
+                indexed++;
+                if (entry.street !== street) issue(errors, schedule.indexOf(entry), entry, `ממופתח תחת הרחוב "${street}"`);
+                if (!schedule.includes(entry)) issue(errors, -1, entry, 'ב-SCHEDULE_BY_STREET אך לא ב-BUS_LANE_SCHEDULE');
+            }
+        }
+        if (indexed !== schedule.length) {
+            issue(errors, -1, null, `SCHEDULE_BY_STREET מכיל ${indexed} רשומות, BUS_LANE_SCHEDULE מכיל ${schedule.length}`);
+        }
+    }
+
+    return { entries: schedule.length, errors, warnings };
+}
+
+/**
+ * Check the [start, end] ranges of one day type.
+ * Overnight ranges (end < start) are split at midnight for the overlap check.
+ */
+function validateRanges(ranges, dayLabel, report) {
+    const pieces = [];
+    for (const range of ranges) {
+        if (!Array.isArray(range) || range.length !== 2 ||
+            typeof range[0] !== 'number' || typeof range[1] !== 'number') {
+            report(`${dayLabel}: טווח לא תקין ${JSON.stringify(range)}`);
+            continue;
+        }
+        const [start, end] = range;
+        const text = `${formatScheduleHour(start)}-${formatScheduleHour(end)}`;
+        if (start < 0 || start >= 24 || end < 0 || end > 24) {
+            report(`${dayLabel}: שעה מחוץ לטווח 0-24 (${text})`);
+            continue;
+        }
+        if (start === end) {
+            report(`${dayLabel}: טווח ריק, התחלה = סוף (${text})`);
+            continue;
+        }
+        if (end < start) {
+            pieces.push({ start, end: 24, text });
+            if (end > 0) pieces.push({ start: 0, end, text });
+        } else {
+            pieces.push({ start, end, text });
+        }
+    }
+
+    pieces.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < pieces.length; i++) {
+        if (pieces[i].start < pieces[i - 1].end) {
+            report(`${dayLabel}: טווחים חופפים (${pieces[i - 1].text} ו-${pieces[i].text})`);
+        }
+    }
+}
+
+function validateValidity(entry, report) {
+    for (const key of ['validFrom', 'validTo']) {
+        if (entry[key] !== undefined && !SCHEDULE_DATE_RE.test(entry[key])) {
+            report(`${key} אינו תאריך YYYY-MM-DD (${entry[key]})`);
+        }
+    }
+    if (entry.validFrom && entry.validTo && entry.validFrom > entry.validTo) {
+        report(`validFrom (${entry.validFrom}) אחרי validTo (${entry.validTo})`);
+    }
+}
+
+/** Do two entries' validity windows share at least one day? */
+function validityOverlaps(a, b) {
+    const aFrom = a.validFrom || '0000-00-00', aTo = a.validTo || '9999-99-99';
+    const bFrom = b.validFrom || '0000-00-00', bTo = b.validTo || '9999-99-99';
+    return aFrom <= bTo && bFrom <= aTo;
+}
+
+function formatScheduleHour(decimal) {
+    const hours = Math.floor(decimal);
+    const minutes = Math.round((decimal - hours) * 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Readable multi-line report of a validateSchedule() result.
+ */
+function formatValidationReport(result) {
+    const line = i => {
+        const where = i.index >= 0 ? `#${i.index} ` : '';
+        const section = i.section ? ` / ${i.section.length > 50 ? i.section.slice(0, 50) + '…' : i.section}` : '';
+        return `  ${where}${i.street || ''}${section}: ${i.message}`;
+    };
+    const lines = [`🔎 Schedule check: ${result.entries} entries, ${result.errors.length} errors, ${result.warnings.length} warnings`];
+    if (result.errors.length > 0) {
+        lines.push('❌ Errors:');
+        result.errors.forEach(i => lines.push(line(i)));
+    }
+    if (result.warnings.length > 0) {
+        lines.push('⚠️ Warnings:');
+        result.warnings.forEach(i => lines.push(line(i)));
+    }
+    if (result.errors.length === 0 && result.warnings.length === 0) lines.push('✅ No problems found');
+    return lines.join('\n');
+}
+
+function isDebugMode() {
+    try {
+        return new URLSearchParams(location.search).get('debug') === '1' ||
+            localStorage.getItem('tlv_bus_lane_debug') === '1';
+    } catch (e) {
+        return false;
+    }
+}
+
+// ---- Browser: validate on load in debug mode ----
+if (typeof window !== 'undefined' && typeof BUS_LANE_SCHEDULE !== 'undefined' && isDebugMode()) {
+    const result = validateSchedule(BUS_LANE_SCHEDULE, SCHEDULE_BY_STREET);
+    const report = formatValidationReport(result);
+    if (result.errors.length > 0) console.error(report);
+    else console.log(report);
+}
+
+// ---- Node: node schedule_validator.js [path/to/bus_lane_hours.js] ----
+if (typeof module !== 'undefined' && typeof require !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+
+    const file = process.argv[2] || path.join(__dirname, 'bus_lane_hours.js');
+    // Top-level consts don't become context properties, so export them explicitly
+    const source = fs.readFileSync(file, 'utf8') +
+        '\n;this.BUS_LANE_SCHEDULE = BUS_LANE_SCHEDULE; this.SCHEDULE_BY_STREET = SCHEDULE_BY_STREET;';
+    const context = {};
+    vm.runInNewContext(source, context, { filename: file });
+
+    const result = validateSchedule(context.BUS_LANE_SCHEDULE, context.SCHEDULE_BY_STREET);
+    console.log(formatValidationReport(result));
+    process.exitCode = result.errors.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,75 @@
+// ============================================================
+// Spatial Index — uniform grid over segment bounding boxes
+// Narrows nearest-segment and radius queries to the few features
+// near a point instead of every split segment in the city.
+// ============================================================
+//
+// createSegmentGrid(features) → grid
+//   Every feature with geometry.paths is listed in each cell its
+//   bounding box touches. Cells are SEGMENT_GRID_CELL_DEG on a side
+//   (~220 m north-south, ~190 m east-west in Tel Aviv).
+//
+// segmentGridCandidates(grid, lat, lng, radius) → [feature]
+//   Features whose cells intersect the box of `radius` metres around
+//   the point — a superset of those actually within `radius`. Callers
+//   measure the exact distance themselves.
+
+const SEGMENT_GRID_CELL_DEG = 0.002;
+const METRES_PER_DEG_LAT = 111320;
+
+function _gridCell(value) {
+    return Math.floor(value / SEGMENT_GRID_CELL_DEG);
+}
+
+/** Bounding box of ArcGIS paths ([lng, lat] points). */
+function pathsBounds(paths) {
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    for (const path of paths) {
+        for (const pt of path) {
+            if (pt[0] < minLng) minLng = pt[0];
+            if (pt[0] > maxLng) maxLng = pt[0];
+            if (pt[1] < minLat) minLat = pt[1];
+            if (pt[1] > maxLat) maxLat = pt[1];
+        }
+    }
+    return { minLng, minLat, maxLng, maxLat };
+}
+
+function createSegmentGrid(features) {
+    const cells = new Map();   // "ix,iy" → [feature]
+    let count = 0;
+    for (const feature of features) {
+        if (!feature.geometry || !feature.geometry.paths) continue;
+        const b = pathsBounds(feature.geometry.paths);
+        if (b.minLng === Infinity) continue;
+        for (let ix = _gridCell(b.minLng); ix <= _gridCell(b.maxLng); ix++) {
+            for (let iy = _gridCell(b.minLat); iy <= _gridCell(b.maxLat); iy++) {
+                const key = `${ix},${iy}`;
+                const list = cells.get(key);
+                if (list) list.push(feature);
+                else cells.set(key, [feature]);
+            }
+        }
+        count++;
+    }
+    return { features, cells, count };
+}
+
+function segmentGridCandidates(grid, lat, lng, radius) {
+    const dLat = radius / METRES_PER_DEG_LAT;
+    const dLng = radius / (METRES_PER_DEG_LAT * Math.cos(lat * Math.PI / 180));
+    const seen = new Set();
+    const result = [];
+    for (let ix = _gridCell(lng - dLng); ix <= _gridCell(lng + dLng); ix++) {
+        for (let iy = _gridCell(lat - dLat); iy <= _gridCell(lat + dLat); iy++) {
+            const list = grid.cells.get(`${ix},${iy}`);
+            if (!list) continue;
+            for (const feature of list) {
+                if (seen.has(feature)) continue;
+                seen.add(feature);
+                result.push(feature);
+            }
+        }
+    }
+    return result;
+}
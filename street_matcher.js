@@ -0,0 +1,185 @@
+// ============================================================
+// Street Matcher — fuzzy Hebrew street-name comparison
+// One comparison shared by schedule matching, the camera index,
+// sign overrides and community reports.
+// ============================================================
+//
+// compareStreetNames(a, b) → { confidence: 0-1, method }
+//   1.00 exact     same name after normalizeStreet
+//   1.00 alias     equal through STREET_ALIASES
+//   0.95 spelling  same up to niqqud, final letters, full/defective
+//                  spelling (גבורים / גיבורים) and titles (ד״ר, הרב)
+//   0.90 order     same words in another order ("בגין מנחם" / "מנחם בגין")
+//   0.80 subset    the longer name only adds given names that
+//                  STREET_ALIASES drops ("בגין" / "מנחם בגין")
+//   0.50 partial   all words of the shorter name (3+ letters) appear in
+//                  the longer one, which adds other words ("יהודה" /
+//                  "בן יהודה", "שלמה" / "שלמה המלך") — usually another
+//                  street, so below the threshold: a suggestion only
+//   0    none
+//
+// Names are the same street when confidence ≥ STREET_MATCH_THRESHOLD.
+
+const STREET_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Map of GIS street names → schedule street names for cases where
+ * the naming convention differs (GIS uses "LastName FirstName" format,
+ * schedule uses street signs / short names).
+ */
+const STREET_ALIASES = {
+    // GIS "LastName FirstName" → Schedule short name
+    'בגין מנחם': 'בגין',
+    'נמיר מרדכי': 'נמיר',
+    'לבון פנחס': 'לבון',
+    'סנה משה': 'משה סנה',
+    'קפלן אליעזר': 'קפלן',
+    'אלון יגאל': 'יגאל אלון',
+    'אלחנן יצחק': 'יצחק אלחנן',
+    // Spelling differences
+    'תל גבורים': 'תל גיבורים',
+    // GIS uses העליה, schedule uses היינה (same street)
+    'העליה': 'היינה',
+    // GIS "הרברט סמואל" → schedule "טיילת הרברט סמואל" (already normalized)
+    'הרברט סמואל': 'הרברט סמואל',
+    // GIS "המלך גורג" (after normalize removes quotes)
+    'המלך גורג': 'המלך גורג',
+    // Additional possible mappings
+    'גבעת התחמושת': 'קפלן', // Part of Kaplan junction
+};
+
+// Titles and abbreviations dropped before comparing (after quotes are removed)
+const STREET_TITLE_WORDS = ['דר', 'דוקטור', 'פרופ', 'פרופסור', 'הרב', 'רבי', 'אדמור'];
+
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+const _streetCompareCache = new Map();
+let _givenNameWords = null;
+
+/**
+ * Normalize a Hebrew street name for comparison.
+ * Removes niqqud, quotes, geresh/gershayim, common prefixes, extra spaces.
+ */
+function normalizeStreet(name) {
+    if (!name) return '';
+    let n = name.trim();
+    // Remove niqqud and cantillation marks
+    n = n.replace(/[\u0591-\u05C7]/g, '');
+    // Remove common prefixes: רחוב, שדרות, דרך, טיילת, שד׳, רח׳
+    n = n.replace(/^(רחוב|רח['׳]?|שדרות|שד['׳]?|דרך|טיילת)\s+/g, '');
+    // Remove quotes and special chars (ASCII, Hebrew and typographic variants)
+    n = n.replace(/["'`\u05F3\u05F4\u2018\u2019\u201C\u201D]/g, '');
+    // Maqaf / hyphen between words
+    n = n.replace(/[\u05BE-]/g, ' ');
+    // Collapse whitespace
+    n = n.replace(/\s+/g, ' ').trim();
+    return n;
+}
+
+/**
+ * Spelling-insensitive form of one word: final letters folded, and
+ * א/ו/י dropped after the first letter of words of 4+ letters, so
+ * full and defective spellings (גיבורים / גבורים) agree.
+ */
+function _streetWordSkeleton(word) {
+    let w = word.replace(/[ךםןףץ]/g, c => FINAL_LETTERS[c]);
+    if (w.length >= 4) w = w[0] + w.slice(1).replace(/[אוי]/g, '');
+    return w;
+}
+
+function _streetWords(normalized) {
+    return normalized.split(' ')
+        .filter(w => w && !STREET_TITLE_WORDS.includes(w))
+        .map(_streetWordSkeleton);
+}
+
+/**
+ * Word skeletons that STREET_ALIASES drops from a GIS name to get the
+ * schedule name ("בגין מנחם" → "בגין"): the given names a longer form of
+ * a street name may add.
+ */
+function _streetGivenNames() {
+    if (_givenNameWords) return _givenNameWords;
+    _givenNameWords = new Set();
+    for (const [gisName, scheduleName] of Object.entries(STREET_ALIASES)) {
+        const full = _streetWords(normalizeStreet(gisName));
+        const short = _streetWords(normalizeStreet(scheduleName));
+        if (short.length < full.length && short.every(w => full.includes(w))) {
+            full.filter(w => !short.includes(w)).forEach(w => _givenNameWords.add(w));
+        }
+    }
+    return _givenNameWords;
+}
+
+/** Compare two already-normalized names (no aliases). */
+function _compareNormalizedStreets(a, b) {
+    if (a === b) return { confidence: 1, method: 'exact' };
+
+    const wa = _streetWords(a);
+    const wb = _streetWords(b);
+    if (wa.length === 0 || wb.length === 0) return { confidence: 0, method: 'none' };
+    if (wa.join(' ') === wb.join(' ')) return { confidence: 0.95, method: 'spelling' };
+
+    const sa = [...wa].sort().join(' ');
+    const sb = [...wb].sort().join(' ');
+    if (sa === sb) return { confidence: 0.9, method: 'order' };
+
+    const [short, long] = wa.length <= wb.length ? [wa, wb] : [wb, wa];
+    if (short.every(w => long.includes(w)) && short.join('').length >= 3) {
+        const extra = long.filter(w => !short.includes(w));
+        if (extra.every(w => _streetGivenNames().has(w))) return { confidence: 0.8, method: 'subset' };
+        return { confidence: 0.5, method: 'partial' };
+    }
+    return { confidence: 0, method: 'none' };
+}
+
+/**
+ * Compare two street names, raw or normalized, through STREET_ALIASES.
+ * Returns: { confidence: number (0-1), method: string }
+ */
+function compareStreetNames(a, b) {
+    const na = normalizeStreet(a);
+    const nb = normalizeStreet(b);
+    if (!na || !nb) return { confidence: 0, method: 'none' };
+
+    const key = `${na}|${nb}`;
+    if (_streetCompareCache.has(key)) return _streetCompareCache.get(key);
+
+    let best = _compareNormalizedStreets(na, nb);
+    const aliasA = STREET_ALIASES[na] || na;
+    const aliasB = STREET_ALIASES[nb] || nb;
+    if (best.confidence < 1 && (aliasA !== na || aliasB !== nb)) {
+        const viaAlias = _compareNormalizedStreets(aliasA, aliasB);
+        if (viaAlias.confidence > best.confidence) {
+            best = { confidence: viaAlias.confidence, method: viaAlias.method === 'exact' ? 'alias' : viaAlias.method };
+        }
+    }
+
+    _streetCompareCache.set(key, best);
+    return best;
+}
+
+/** Confidence (0-1) that two names refer to the same street. */
+function matchStreetNames(a, b) {
+    return compareStreetNames(a, b).confidence;
+}
+
+/** Do two names refer to the same street (confidence ≥ threshold)? */
+function isSameStreet(a, b) {
+    return matchStreetNames(a, b) >= STREET_MATCH_THRESHOLD;
+}
+
+/**
+ * Best-matching name among `names` for `name`.
+ * Returns: { name, confidence } or null when nothing reaches the threshold.
+ */
+function findBestStreetMatch(name, names) {
+    let best = null;
+    for (const candidate of names) {
+        const confidence = matchStreetNames(name, candidate);
+        if (confidence >= STREET_MATCH_THRESHOLD && (!best || confidence > best.confidence)) {
+            best = { name: candidate, confidence };
+        }
+    }
+    return best;
+}
@@ -1,10 +1,19 @@
-const CACHE_NAME = 'buslanes-v29';
+const CACHE_NAME = 'buslanes-v37';
 const STATIC_ASSETS = [
     './',
     './index.html',
     './app.js',
     './bus_lane_hours.js',
+    './schedule_validator.js',
+    './hebrew_calendar.js',
+    './street_matcher.js',
+    './spatial_index.js',
+    './preprocess.js',
+    './gis_worker.js',
+    './arcgis_client.js',
+    './gis_snapshot.js',
     './community_reports.js',
+    './schedule_pins.json',
     './manifest.json',
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
@@ -0,0 +1,121 @@
+// ============================================================
+// GIS snapshot diff — what counts as a change in layers 611/949
+// diffGisSnapshots feeds the changes panel and the map outlines, so
+// re-projection noise or a missing attribute must not show up as a
+// change, and real edits must.
+//
+// Node:    node test/gis_snapshot.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+const { context, run } = loadScripts([
+    'hebrew_calendar.js',
+    'street_matcher.js',
+    'spatial_index.js',
+    'preprocess.js',
+    'arcgis_client.js',
+    'gis_snapshot.js',
+    'community_reports.js',
+    'app.js'
+], { SCHEDULE_BY_STREET: {} });
+
+const lane = (oid, fields, paths) => ({
+    attributes: { oid, street_name: 'אבן גבירול', from_street: 'מרמורק', to_street: 'ארלוזורוב', status: 'פעיל', ...fields },
+    geometry: { paths: paths || [[[34.781, 32.075], [34.782, 32.080]]] }
+});
+const camera = (id, fields, x) => ({
+    attributes: { OBJECTID: id, status: 'פעיל', t_rechov1: 'דיזנגוף', ms_bayit1: '5', ...fields },
+    geometry: { x: x || 34.774, y: 32.078 }
+});
+const diff = (previous, fresh) => run(`diffGisSnapshots(${JSON.stringify(previous)}, ${JSON.stringify(fresh)})`);
+const ids = list => [...list.map(f => run(`gisFeatureId(${JSON.stringify(f)})`))];
+
+const { test, done } = createRunner();
+
+test('identical downloads have no changes', () => {
+    const snapshot = { lanes: [lane(1), lane(2)], cameras: [camera(10)] };
+    assert.strictEqual(diff(snapshot, snapshot).count, 0);
+});
+
+test('added, removed and modified lanes', () => {
+    const result = diff(
+        { lanes: [lane(1), lane(2), lane(3)], cameras: [] },
+        { lanes: [lane(1), lane(2, { status: 'לא פעיל' }), lane(4)], cameras: [] }
+    );
+    assert.deepStrictEqual(ids(result.lanes.added), ['4']);
+    assert.deepStrictEqual(ids(result.lanes.removed), ['3']);
+    assert.strictEqual(result.lanes.modified.length, 1);
+    const modified = result.lanes.modified[0];
+    assert.deepStrictEqual({ ...modified.fields[0] }, { field: 'status', before: 'פעיל', after: 'לא פעיל' });
+    assert.strictEqual(modified.geometry, false);
+    assert.strictEqual(result.count, 3);
+});
+
+test('cameras are matched by OBJECTID', () => {
+    const result = diff(
+        { lanes: [], cameras: [camera(10), camera(11)] },
+        { lanes: [], cameras: [camera(11, { ms_bayit1: '7' }), camera(12)] }
+    );
+    assert.deepStrictEqual(ids(result.cameras.added), ['12']);
+    assert.deepStrictEqual(ids(result.cameras.removed), ['10']);
+    assert.deepStrictEqual([...result.cameras.modified[0].fields.map(f => f.field)], ['ms_bayit1']);
+});
+
+test('a null attribute and a missing one are the same', () => {
+    const before = lane(1, { direction_name: null });
+    const after = lane(1);
+    delete after.attributes.direction_name;
+    assert.strictEqual(diff({ lanes: [before] }, { lanes: [after] }).count, 0);
+    // An attribute that appears is a change from null
+    const result = diff({ lanes: [after] }, { lanes: [lane(1, { direction_name: 'מצפון לדרום' })] });
+    assert.deepStrictEqual({ ...result.lanes.modified[0].fields[0] }, { field: 'direction_name', before: null, after: 'מצפון לדרום' });
+});
+
+test('attributes outside GIS_DIFF_FIELDS are ignored', () => {
+    assert.strictEqual(diff({ lanes: [lane(1)] }, { lanes: [lane(1, { Shape_Length: 12.5 })] }).count, 0);
+});
+
+test('geometry noise below the rounding is not a change', () => {
+    const noisy = [[[34.78100004, 32.07499996], [34.78199996, 32.08000004]]];
+    assert.strictEqual(diff({ lanes: [lane(1)] }, { lanes: [lane(1, {}, noisy)] }).count, 0);
+    assert.strictEqual(diff({ cameras: [camera(10)] }, { cameras: [camera(10, {}, 34.77400004)] }).count, 0);
+});
+
+test('a moved geometry is a change without field changes', () => {
+    const moved = [[[34.78101, 32.075], [34.782, 32.080]]];
+    const result = diff({ lanes: [lane(1)] }, { lanes: [lane(1, {}, moved)] });
+    assert.strictEqual(result.lanes.modified.length, 1);
+    assert.strictEqual(result.lanes.modified[0].geometry, true);
+    assert.strictEqual(result.lanes.modified[0].fields.length, 0);
+});
+
+// ---- Stored change log ----
+
+test('recordGisChanges stores compact outlines, not the full geometry', () => {
+    // A curve with a point every ~1 m
+    const path = [];
+    for (let i = 0; i <= 200; i++) path.push([34.78 + i * 0.00001 + 0.000000123, 32.07 + Math.sin(i / 40) * 0.0005]);
+    const fresh = { lanes: [lane(1, {}, [path])], cameras: [camera(10, { status: 'לא פעיל' })] };
+    run(`recordGisChanges(diffGisSnapshots(${JSON.stringify({ lanes: [], cameras: [camera(10)] })}, ${JSON.stringify(fresh)}), Date.now())`);
+
+    const stored = JSON.parse(context.localStorage.getItem('tlv_bus_lane_gis_changes'));
+    const laneChange = stored.find(c => c.id === 'lane:1');
+    const cameraChange = stored.find(c => c.id === 'camera:10');
+    assert.strictEqual(laneChange.type, 'added');
+    assert.strictEqual(cameraChange.type, 'modified');
+    assert.deepStrictEqual(cameraChange.geometry, { x: 34.774, y: 32.078 });
+
+    const kept = laneChange.geometry.paths[0];
+    assert.ok(kept.length < path.length / 2, `${kept.length} of ${path.length} points kept`);
+    assert.deepStrictEqual(kept[0], [34.78, 32.07]);
+    assert.deepStrictEqual(kept[kept.length - 1], [34.782, Math.round(path[200][1] * 1e5) / 1e5]);
+    // The outline still follows the curve to within a few metres
+    for (const pt of path) {
+        const nearest = Math.min(...kept.map(k => Math.hypot(k[0] - pt[0], k[1] - pt[1])));
+        assert.ok(nearest < 0.00005, `point ${pt} is ${nearest} away from the outline`);
+    }
+});
+
+done();
@@ -0,0 +1,147 @@
+// ============================================================
+// Jerusalem time — schedules around the 2026 DST switches
+// Israel springs forward on Friday 27 March 2026 (02:00 → 03:00,
+// 00:00 UTC) and falls back on Sunday 25 October 2026 (02:00 → 01:00,
+// 23:00 UTC on the 24th). Statuses, countdowns and the clock must
+// follow the Tel Aviv wall clock whatever the machine's timezone.
+//
+// Node:    node test/jerusalem_time.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+// Boundaries inside the skipped hour (Friday 02:00) and the repeated hour (Sunday 01:30)
+const TEST_ENTRY = { street: 'הבדיקה', section: 'default', sun_thu: [[1.5, 5]], fri: [[2, 4]], sat: [] };
+
+const { run } = loadScripts([
+    'hebrew_calendar.js',
+    'street_matcher.js',
+    'spatial_index.js',
+    'preprocess.js',
+    'arcgis_client.js',
+    'gis_snapshot.js',
+    'community_reports.js',
+    'app.js'
+], { SCHEDULE_BY_STREET: { 'הבדיקה': [TEST_ENTRY] } });
+
+const feature = { attributes: { oid: 1, street_name: 'הבדיקה', status: 'פעיל' } };
+const at = iso => `new Date('${iso}')`;
+const status = iso => run(`getLaneStatus(${JSON.stringify(feature)}, ${at(iso)})`);
+const nextChangeIso = s => (s.nextChange ? s.nextChange.toISOString() : null);
+
+const { test, done } = createRunner();
+
+// ---- Wall clock ----
+
+test('spring forward: 01:59 is followed by 03:00', () => {
+    const before = run(`getJerusalemParts(${at('2026-03-26T23:59:00Z')})`);
+    const after = run(`getJerusalemParts(${at('2026-03-27T00:00:00Z')})`);
+    assert.deepStrictEqual([before.day, before.hour, before.minute], [27, 1, 59]);
+    assert.deepStrictEqual([after.day, after.hour, after.minute], [27, 3, 0]);
+});
+
+test('fall back: 01:30 is shown twice', () => {
+    const first = run(`getJerusalemParts(${at('2026-10-24T22:30:00Z')})`);
+    const second = run(`getJerusalemParts(${at('2026-10-24T23:30:00Z')})`);
+    assert.deepStrictEqual([first.day, first.hour, first.minute], [25, 1, 30]);
+    assert.deepStrictEqual([second.day, second.hour, second.minute], [25, 1, 30]);
+});
+
+test('day type follows Jerusalem midnight, not UTC', () => {
+    // Thursday 22:30 UTC is already Friday 00:30 in Tel Aviv
+    assert.strictEqual(run(`getDayType(${at('2026-03-26T22:30:00Z')})`), 'fri');
+    assert.strictEqual(run(`getCurrentDecimalHour(${at('2026-03-26T22:30:00Z')})`), 0.5);
+});
+
+test('jerusalemDate: a skipped time maps to the hour after it', () => {
+    assert.strictEqual(run('jerusalemDate(2026, 3, 27, 2, 0).toISOString()'), '2026-03-27T00:00:00.000Z');
+    assert.strictEqual(run('jerusalemDate(2026, 3, 27, 2, 30).toISOString()'), '2026-03-27T00:30:00.000Z');
+});
+
+test('jerusalemDate: a repeated time maps to its first occurrence', () => {
+    assert.strictEqual(run('jerusalemDate(2026, 10, 25, 1, 30).toISOString()'), '2026-10-24T22:30:00.000Z');
+    assert.strictEqual(run('jerusalemDate(2026, 10, 25, 3, 0).toISOString()'), '2026-10-25T01:00:00.000Z');
+});
+
+test('civil days are 23 and 25 hours long on the switch days', () => {
+    const length = (y, m, d) => run(`civilDay(jerusalemDate(${y}, ${m}, ${d}, 12, 0), 1) - civilDay(jerusalemDate(${y}, ${m}, ${d}, 12, 0), 0)`) / 3600000;
+    assert.strictEqual(length(2026, 3, 27), 23);
+    assert.strictEqual(length(2026, 10, 25), 25);
+});
+
+// ---- Spring forward: Friday [2, 4], 02:00 does not exist ----
+
+test('spring forward: open before the skipped boundary, blocked from 03:00', () => {
+    const s = status('2026-03-26T23:30:00Z');   // 01:30 IST
+    assert.strictEqual(s.blocked, false);
+    assert.strictEqual(nextChangeIso(s), '2026-03-27T00:00:00.000Z');
+    assert.strictEqual(s.minutesToChange, 30);
+    assert.strictEqual(s.changingSoon, false);
+});
+
+test('spring forward: the blocked period is one real hour long', () => {
+    const s = status('2026-03-27T00:00:00Z');   // 03:00 IDT
+    assert.strictEqual(s.blocked, true);
+    assert.strictEqual(s.reason, 'חסום כעת: 02:00 - 04:00');
+    assert.strictEqual(nextChangeIso(s), '2026-03-27T01:00:00.000Z');
+    assert.strictEqual(s.minutesToChange, 60);
+    assert.strictEqual(status('2026-03-27T00:59:00Z').blocked, true);
+    assert.strictEqual(status('2026-03-27T01:00:00Z').blocked, false);
+});
+
+// ---- Fall back: Sunday [1.5, 5], 01:30 happens twice ----
+
+test('fall back: blocked from the first 01:30', () => {
+    const s = status('2026-10-24T22:00:00Z');   // 01:00 IDT
+    assert.strictEqual(s.blocked, false);
+    assert.strictEqual(nextChangeIso(s), '2026-10-24T22:30:00.000Z');
+    assert.strictEqual(s.minutesToChange, 30);
+    assert.strictEqual(status('2026-10-24T22:45:00Z').blocked, true);
+});
+
+test('fall back: still blocked in the repeated hour, until 05:00 IST', () => {
+    const s = status('2026-10-24T23:15:00Z');   // 01:15 IST, the second time round
+    assert.strictEqual(s.blocked, true);
+    assert.strictEqual(nextChangeIso(s), '2026-10-25T03:00:00.000Z');
+    assert.strictEqual(s.minutesToChange, 225);
+});
+
+test('findNextTransition: a range ending in the repeated hour ends at its first occurrence', () => {
+    const hours = JSON.stringify({ sun_thu: [[0, 1.5]], fri: [], sat: [] });
+    const next = run(`findNextTransition(${hours}, ${at('2026-10-24T22:10:00Z')})`);
+    assert.strictEqual(next.toISOString(), '2026-10-24T22:30:00.000Z');
+});
+
+test('findNextTransition: an hourly range across the spring switch', () => {
+    const hours = JSON.stringify({ sun_thu: [], fri: [[1, 3]], sat: [] });
+    // 01:00 IST → the 03:00 end is the switch instant, one real hour later
+    const next = run(`findNextTransition(${hours}, ${at('2026-03-26T23:00:00Z')})`);
+    assert.strictEqual(next.toISOString(), '2026-03-27T00:00:00.000Z');
+});
+
+// ---- Clock ----
+
+test('updateClock shows Tel Aviv wall time across the switches', () => {
+    const clock = iso => {
+        run(`plannedTime = ${at(iso)}; updateClock();`);
+        return run("[document.getElementById('clockTime').textContent, document.getElementById('clockDay').textContent]");
+    };
+    const [springTime, springDay] = clock('2026-03-27T00:00:00Z');
+    assert.strictEqual(springTime, '03:00');
+    assert.ok(springDay.includes('יום שישי') && springDay.includes('27.3.2026'), springDay);
+
+    assert.strictEqual(clock('2026-10-24T22:30:00Z')[0], '01:30');
+    assert.strictEqual(clock('2026-10-24T23:30:00Z')[0], '01:30');
+    assert.ok(clock('2026-10-24T23:30:00Z')[1].includes('יום ראשון'));
+    run('plannedTime = null');
+});
+
+test('describeNextChange counts real minutes, not wall-clock hours', () => {
+    const countdown = iso => run(`describeNextChange(getLaneStatus(${JSON.stringify(feature)}, ${at(iso)}))`);
+    // 00:30 IST → 03:00 IDT reads 2½ hours on the clock but is 90 minutes away
+    assert.strictEqual(countdown('2026-03-26T22:30:00Z'), 'ייחסם בעוד 1 שע׳ 30 דק׳');
+    assert.strictEqual(countdown('2026-03-27T00:30:00Z'), 'נפתח בעוד 30 דק׳');
+});
+
+done();
@@ -0,0 +1,104 @@
+// ============================================================
+// Test helper — load the app's browser scripts into a Node vm
+// context, the way schedule_validator.js loads bus_lane_hours.js.
+// ============================================================
+//
+// loadScripts(files, globals) → { context, run }
+//   files:   script names relative to the repo root, in index.html order
+//   globals: extra properties for the context (e.g. SCHEDULE_BY_STREET)
+//   run(code) evaluates code in the context; top-level const/let
+//   (plannedTime, laneFilters, …) are only reachable this way.
+//
+// The DOM, localStorage and Leaflet are stubbed just far enough for the
+// scripts to load and for functions that write text into elements.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function stubElement() {
+    return {
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains() { return false; } },
+        addEventListener() {},
+        appendChild() {},
+        setAttribute() {},
+        removeAttribute() {},
+        querySelectorAll() { return []; },
+        textContent: '',
+        innerHTML: '',
+        value: ''
+    };
+}
+
+function stubLeaflet() {
+    const layer = () => ({ addTo() { return this; }, on() { return this; }, addLayer() { return this; } });
+    return {
+        Layer: { extend: proto => function () { Object.assign(this, proto); } },
+        layerGroup: layer,
+        canvas: layer
+    };
+}
+
+function loadScripts(files, globals) {
+    const storage = {};
+    const elements = {};
+    const context = {
+        console: { log() {}, warn() {}, error: console.error, time() {}, timeEnd() {} },
+        setTimeout: () => 0,
+        clearTimeout() {},
+        setInterval: () => 0,
+        clearInterval() {},
+        Intl,
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: key => { delete storage[key]; }
+        },
+        document: {
+            addEventListener() {},
+            getElementById: id => elements[id] || (elements[id] = stubElement()),
+            querySelector: () => stubElement(),
+            querySelectorAll: () => [],
+            createElement: () => stubElement()
+        },
+        navigator: { userAgent: 'node' },
+        L: stubLeaflet(),
+        ...globals
+    };
+    context.window = context;
+    vm.createContext(context);
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    return { context, run: code => vm.runInContext(code, context) };
+}
+
+/**
+ * Minimal runner: test(name, fn) records a failure instead of stopping,
+ * done() prints the summary and sets the exit code.
+ */
+function createRunner() {
+    let failed = 0;
+    let passed = 0;
+    return {
+        test(name, fn) {
+            try {
+                fn();
+                passed++;
+                console.log(`✅ ${name}`);
+            } catch (e) {
+                failed++;
+                console.error(`❌ ${name}\n   ${e.message}`);
+            }
+        },
+        done() {
+            console.log(`\n${passed} passed, ${failed} failed`);
+            process.exitCode = failed > 0 ? 1 : 0;
+        }
+    };
+}
+
+module.exports = { loadScripts, createRunner };
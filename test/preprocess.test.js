@@ -0,0 +1,99 @@
+// ============================================================
+// GIS preprocessing — the cached result and the worker's scripts
+// runGisPreprocess's hash decides whether the split lanes stored in
+// IndexedDB are reused, so it must change with the input and with
+// PREPROCESS_VERSION, and gis_worker.js must load the page's release
+// of the scripts it shares with the page.
+//
+// Node:    node test/preprocess.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+const PREPROCESS_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'preprocess.js'), 'utf8');
+const VERSION_RE = /const PREPROCESS_VERSION = (\d+);/;
+
+/** A context with preprocess.js, optionally with PREPROCESS_VERSION replaced. */
+function loadPreprocess(version) {
+    const loaded = loadScripts(['street_matcher.js', 'spatial_index.js']);
+    loaded.run(version === undefined ? PREPROCESS_SOURCE
+        : PREPROCESS_SOURCE.replace(VERSION_RE, `const PREPROCESS_VERSION = ${version};`));
+    return loaded;
+}
+
+// One lane crossed by a signalized junction halfway, one camera on it
+const INPUT = {
+    lanes: [
+        { attributes: { oid: 1, street_name: 'אבן גבירול', from_street: 'מרמורק', to_street: 'ז׳בוטינסקי', status: 'פעיל' },
+          geometry: { paths: [[[34.781, 32.070], [34.782, 32.080], [34.783, 32.090]]] } },
+        { attributes: { oid: 2, street_name: 'דיזנגוף', from_street: 'בן גוריון', to_street: 'ארלוזורוב', status: 'פעיל' },
+          geometry: { paths: [[[34.774, 32.080], [34.775, 32.086]]] } }
+    ],
+    cameras: [
+        { attributes: { OBJECTID: 10, status: 'פעיל', t_rechov1: 'אבן גבירול', ms_bayit1: '' }, geometry: { x: 34.7815, y: 32.075 } }
+    ],
+    junctions: [{ name: 'אבן גבירול / ארלוזורוב', lat: 32.080, lng: 34.782 }]
+};
+
+const { run } = loadPreprocess();
+const preprocess = (input, cachedHash) => run(`runGisPreprocess(${JSON.stringify({ ...input, cachedHash })})`);
+
+const { test, done } = createRunner();
+
+test('a first run splits the lanes and maps the cameras', () => {
+    const result = preprocess(INPUT);
+    assert.ok(result.hash);
+    assert.strictEqual(result.cached, undefined);
+    assert.deepStrictEqual([...result.features.map(f => f.attributes.oid)], ['1_0', '1_1', 2]);
+    assert.deepStrictEqual([...result.cameraMap[10].segments], ['1_0']);
+});
+
+test('the same input with the cached hash is not recomputed', () => {
+    const { hash } = preprocess(INPUT);
+    assert.deepStrictEqual({ ...preprocess(INPUT, hash) }, { hash, cached: true });
+});
+
+test('changed input is recomputed', () => {
+    const { hash } = preprocess(INPUT);
+    const moved = JSON.parse(JSON.stringify(INPUT));
+    moved.cameras[0].geometry = { x: 34.7825, y: 32.085 };
+    const result = preprocess(moved, hash);
+    assert.notStrictEqual(result.hash, hash);
+    assert.strictEqual(result.cached, undefined);
+    assert.deepStrictEqual([...result.cameraMap[10].segments], ['1_1']);
+});
+
+test('a new PREPROCESS_VERSION is recomputed', () => {
+    const version = Number(PREPROCESS_SOURCE.match(VERSION_RE)[1]);
+    const { hash } = preprocess(INPUT);
+    const next = loadPreprocess(version + 1);
+    assert.strictEqual(next.run('PREPROCESS_VERSION'), version + 1);
+    const result = next.run(`runGisPreprocess(${JSON.stringify({ ...INPUT, cachedHash: hash })})`);
+    assert.notStrictEqual(result.hash, hash);
+    assert.strictEqual(result.cached, undefined);
+    assert.strictEqual(result.features.length, 3);
+});
+
+// ---- gis_worker.js ----
+
+test('the worker loads its scripts with the page\'s ?v= and answers with the result', () => {
+    const imported = [];
+    const messages = [];
+    const self = { location: { search: '?v=21' }, postMessage: msg => messages.push(msg) };
+    loadScripts(['street_matcher.js', 'spatial_index.js', 'preprocess.js', 'gis_worker.js'], {
+        self,
+        importScripts: (...urls) => imported.push(...urls)
+    });
+    assert.deepStrictEqual(imported, ['street_matcher.js?v=21', 'spatial_index.js?v=21', 'preprocess.js?v=21']);
+
+    self.onmessage({ data: INPUT });
+    const result = messages[messages.length - 1];
+    assert.strictEqual(result.type, 'result');
+    assert.strictEqual(result.result.hash, preprocess(INPUT).hash);
+    assert.ok(messages.some(msg => msg.type === 'progress' && msg.stage === 'split'));
+});
+
+done();
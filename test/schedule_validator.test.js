@@ -0,0 +1,99 @@
+// ============================================================
+// Schedule validator — what counts as a data mistake
+// The real bus_lane_hours.js must pass clean, and each kind of typo
+// that the map would evaluate wrongly must be reported as an error.
+//
+// Node:    node test/schedule_validator.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+const { run } = loadScripts(['bus_lane_hours.js', 'schedule_validator.js']);
+const validate = schedule => run(`validateSchedule(${JSON.stringify(schedule)})`);
+const messages = list => [...list.map(i => i.message)];
+
+// One correct entry; fixtures below change a single field of it
+const entry = fields => ({ street: 'הבדיקה', section: 'default', sun_thu: [[7, 9]], fri: [], sat: [], ...fields });
+
+const { test, done } = createRunner();
+
+test('bus_lane_hours.js has no errors', () => {
+    const result = run('validateSchedule(BUS_LANE_SCHEDULE, SCHEDULE_BY_STREET)');
+    assert.strictEqual(result.entries, run('BUS_LANE_SCHEDULE.length'));
+    assert.deepStrictEqual(messages(result.errors), []);
+});
+
+test('a correct entry passes', () => {
+    const result = validate([entry({ fri: [[22, 6]] })]);
+    assert.deepStrictEqual(messages(result.errors), []);
+    assert.deepStrictEqual(messages(result.warnings), []);
+});
+
+test('overlapping ranges', () => {
+    const result = validate([entry({ sun_thu: [[7, 10], [9, 12]] })]);
+    assert.deepStrictEqual(messages(result.errors), ['א׳-ה׳: טווחים חופפים (07:00-10:00 ו-09:00-12:00)']);
+});
+
+test('an overnight range overlapping the morning after midnight', () => {
+    const result = validate([entry({ sun_thu: [[22, 6], [5, 7]] })]);
+    assert.strictEqual(result.errors.length, 1);
+    assert.ok(result.errors[0].message.includes('טווחים חופפים'));
+});
+
+test('start equal to end', () => {
+    const result = validate([entry({ sun_thu: [[7, 7]] })]);
+    assert.deepStrictEqual(messages(result.errors), ['א׳-ה׳: טווח ריק, התחלה = סוף (07:00-07:00)']);
+});
+
+test('hours above 24', () => {
+    const result = validate([entry({ fri: [[20, 25]] })]);
+    assert.deepStrictEqual(messages(result.errors), ['ו׳: שעה מחוץ לטווח 0-24 (20:00-25:00)']);
+    // 24 itself is a legal end, not a legal start
+    assert.deepStrictEqual(messages(validate([entry({ fri: [[20, 24]] })]).errors), []);
+    assert.strictEqual(validate([entry({ fri: [[24, 2]] })]).errors.length, 1);
+});
+
+test('missing sun_thu', () => {
+    const fixture = entry({});
+    delete fixture.sun_thu;
+    const result = validate([fixture]);
+    assert.deepStrictEqual(messages(result.errors), ['חסר sun_thu (שעות א׳-ה׳)']);
+});
+
+test('allWeek together with ranges', () => {
+    const result = validate([entry({ allWeek: true })]);
+    assert.deepStrictEqual(messages(result.errors), ['allWeek יחד עם טווחי שעות – לא ברור מה חל']);
+    const plain = entry({ allWeek: true, sun_thu: null, fri: null, sat: null });
+    assert.deepStrictEqual(messages(validate([plain]).errors), []);
+});
+
+test('duplicate street + section', () => {
+    const result = validate([entry({}), entry({ sun_thu: [[16, 19]] })]);
+    assert.deepStrictEqual(messages(result.errors), ['כפילות רחוב + קטע (זהה לרשומה #0)']);
+    assert.strictEqual(result.errors[0].index, 1);
+});
+
+test('the same street + section with consecutive validity is not a duplicate', () => {
+    const result = validate([
+        entry({ validTo: '2026-06-09' }),
+        entry({ sun_thu: [[16, 19]], validFrom: '2026-06-10' })
+    ]);
+    assert.deepStrictEqual(messages(result.errors), []);
+    const overlapping = validate([
+        entry({ validTo: '2026-06-10' }),
+        entry({ sun_thu: [[16, 19]], validFrom: '2026-06-10' })
+    ]);
+    assert.strictEqual(overlapping.errors.length, 1);
+});
+
+test('a street index that does not match the array', () => {
+    const result = run(`(() => {
+        const a = ${JSON.stringify(entry({}))};
+        const b = ${JSON.stringify(entry({ street: 'אחר' }))};
+        return validateSchedule([a, b], { 'הבדיקה': [a] });
+    })()`);
+    assert.deepStrictEqual(messages(result.errors), ['SCHEDULE_BY_STREET מכיל 1 רשומות, BUS_LANE_SCHEDULE מכיל 2']);
+});
+
+done();
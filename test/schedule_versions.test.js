@@ -0,0 +1,110 @@
+// ============================================================
+// Schedule versions — validFrom / validTo inside the lookahead
+// Countdowns, the "changing soon" colour, the refresh timer and the
+// weekly grid must switch to the new hours on the day they take effect.
+//
+// Node:    node test/schedule_versions.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+// Mornings until Tuesday 9 June 2026, evenings from Wednesday 10 June
+const MORNINGS = { street: 'הגרסאות', section: 'default', sun_thu: [[7, 9]], fri: [], sat: [], validTo: '2026-06-09' };
+const EVENINGS = { street: 'הגרסאות', section: 'default', sun_thu: [[16, 19]], fri: [], sat: [], validFrom: '2026-06-10' };
+// Blocked until midnight, then the new version is open at that hour
+const LATE = { street: 'החצות', section: 'default', sun_thu: [[20, 24]], fri: [], sat: [], validTo: '2026-06-09' };
+const EARLY = { street: 'החצות', section: 'default', sun_thu: [[6, 8]], fri: [], sat: [], validFrom: '2026-06-10' };
+// Hours that simply expire, and hours that only start mid-week
+const EXPIRING = { street: 'הזמני', section: 'default', sun_thu: [[7, 9]], fri: [], sat: [], validTo: '2026-06-09' };
+const UPCOMING = { street: 'העתידי', section: 'default', sun_thu: [[7, 9]], fri: [], sat: [], validFrom: '2026-06-10' };
+
+const { run } = loadScripts([
+    'hebrew_calendar.js',
+    'street_matcher.js',
+    'spatial_index.js',
+    'preprocess.js',
+    'arcgis_client.js',
+    'gis_snapshot.js',
+    'community_reports.js',
+    'app.js'
+], {
+    SCHEDULE_BY_STREET: {
+        'הגרסאות': [MORNINGS, EVENINGS],
+        'החצות': [LATE, EARLY],
+        'הזמני': [EXPIRING],
+        'העתידי': [UPCOMING]
+    }
+});
+
+let nextOid = 1;
+const lane = street => JSON.stringify({ attributes: { oid: nextOid++, street_name: street, status: 'פעיל' } });
+const at = iso => `new Date('${iso}')`;
+const status = (street, iso) => run(`getLaneStatus(${lane(street)}, ${at(iso)})`);
+const iso = date => (date ? date.toISOString() : null);
+
+const { test, done } = createRunner();
+
+test('the entry in force is picked by date', () => {
+    assert.strictEqual(status('הגרסאות', '2026-06-09T05:00:00Z').schedule.sun_thu[0][0], 7);
+    assert.strictEqual(status('הגרסאות', '2026-06-10T05:00:00Z').schedule.sun_thu[0][0], 16);
+});
+
+test('the old version\'s next flip is not reported past its validTo', () => {
+    // Tuesday 20:00: the mornings rule would block Wednesday 07:00, but it ends at midnight
+    const s = status('הגרסאות', '2026-06-09T17:00:00Z');
+    assert.strictEqual(s.blocked, false);
+    assert.strictEqual(iso(s.nextChange), '2026-06-09T21:00:00.000Z');
+    assert.strictEqual(s.versionChange, true);
+    assert.strictEqual(s.minutesToChange, 240);
+    assert.strictEqual(run(`describeNextChange(getLaneStatus(${lane('הגרסאות')}, ${at('2026-06-09T17:00:00Z')}))`), 'השעות משתנות בעוד 4 שע׳');
+});
+
+test('after the boundary the new version gives the next flip', () => {
+    const s = status('הגרסאות', '2026-06-09T21:00:00Z');
+    assert.strictEqual(s.versionChange, false);
+    assert.strictEqual(iso(s.nextChange), '2026-06-10T13:00:00.000Z');   // Wednesday 16:00
+});
+
+test('a boundary that flips blocked → open is an ordinary transition', () => {
+    const s = status('החצות', '2026-06-09T20:50:00Z');   // Tuesday 23:50, blocked until 24:00
+    assert.strictEqual(s.blocked, true);
+    assert.strictEqual(iso(s.nextChange), '2026-06-09T21:00:00.000Z');
+    assert.strictEqual(s.versionChange, false);
+    assert.strictEqual(s.changingSoon, true);
+});
+
+test('hours that expire make the lane unknown at the boundary', () => {
+    const s = status('הזמני', '2026-06-09T17:00:00Z');
+    assert.strictEqual(iso(s.nextChange), '2026-06-09T21:00:00.000Z');
+    assert.strictEqual(s.versionChange, true);
+    assert.strictEqual(status('הזמני', '2026-06-09T21:00:00Z').category, 'unknown');
+});
+
+test('an unknown lane changes when its first version starts', () => {
+    const s = status('העתידי', '2026-06-09T17:00:00Z');
+    assert.strictEqual(s.category, 'unknown');
+    assert.strictEqual(iso(s.nextChange), '2026-06-09T21:00:00.000Z');
+    assert.strictEqual(s.versionChange, true);
+});
+
+test('the refresh timer wakes at the version boundary, not 15 minutes early', () => {
+    const refresh = run(`getStatusRefreshTime(getLaneStatus(${lane('הגרסאות')}, ${at('2026-06-09T17:00:00Z')}), ${at('2026-06-09T17:00:00Z')})`);
+    assert.strictEqual(iso(refresh), '2026-06-09T21:00:00.000Z');
+});
+
+test('the weekly grid switches hours on the day the new version starts', () => {
+    const grid = run(`buildWeeklyTimetable(${lane('הגרסאות')}, ${at('2026-06-09T09:00:00Z')})`);
+    const blockedHours = day => [...day.cells.filter(c => c.blockedMinutes > 0).map(c => c.hour)];
+    assert.deepStrictEqual(blockedHours(grid.days[0]), [7, 8]);          // Tuesday: mornings
+    assert.deepStrictEqual(blockedHours(grid.days[1]), [16, 17, 18]);    // Wednesday: evenings
+    assert.ok(grid.days.every(day => !day.unscheduled));
+});
+
+test('the weekly grid greys out days after hours expire', () => {
+    const grid = run(`buildWeeklyTimetable(${lane('הזמני')}, ${at('2026-06-09T09:00:00Z')})`);
+    assert.strictEqual(grid.days[0].unscheduled, false);
+    assert.ok(grid.days.slice(1).every(day => day.unscheduled));
+});
+
+done();
@@ -0,0 +1,146 @@
+// ============================================================
+// Spatial index — the grid must never hide the nearest segment
+// findNearestSegment and findSegmentsWithin only measure the grid's
+// candidates, so a lane missing from a cell is a lane the GPS alerts,
+// camera mapping and the simulator silently skip.
+//
+// Node:    node test/spatial_index.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+const { context, run } = loadScripts([
+    'hebrew_calendar.js',
+    'street_matcher.js',
+    'spatial_index.js',
+    'preprocess.js',
+    'arcgis_client.js',
+    'gis_snapshot.js',
+    'community_reports.js',
+    'app.js'
+], { SCHEDULE_BY_STREET: {} });
+
+const CELL = run('SEGMENT_GRID_CELL_DEG');
+
+// Deterministic pseudo-random numbers, so a failure can be reproduced
+let seed = 21;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+let nextOid = 1;
+const lane = paths => ({ attributes: { oid: nextOid++ }, geometry: paths ? { paths } : undefined });
+
+// ~2,000 short lanes of 2-6 points over central Tel Aviv, a few long
+// avenues across many cells, and features without a usable shape
+const features = [];
+for (let i = 0; i < 2000; i++) {
+    let lng = 34.76 + random() * 0.05;
+    let lat = 32.05 + random() * 0.06;
+    const path = [[lng, lat]];
+    const points = 2 + Math.floor(random() * 5);
+    for (let p = 1; p < points; p++) {
+        lng += (random() - 0.5) * 0.002;
+        lat += (random() - 0.5) * 0.002;
+        path.push([lng, lat]);
+    }
+    features.push(lane([path]));
+}
+for (let i = 0; i < 10; i++) {
+    features.push(lane([[[34.76, 32.05 + i * 0.006], [34.81, 32.052 + i * 0.006]]]));
+}
+features.push(lane(null), lane([]), lane([[]]));
+
+const setFeatures = list => {
+    context.__features = list;
+    run('allFeatures = __features');
+};
+setFeatures(features);
+
+const nearest = (point, maxDist) => run(`findNearestSegment(${JSON.stringify(point)}, ${maxDist})`);
+const within = (point, radius) => run(`findSegmentsWithin(${JSON.stringify(point)}, ${radius})`);
+const withPaths = features.filter(f => f.geometry && f.geometry.paths);
+
+// The scan the grid replaces, run inside the context like the indexed lookups
+run(`function linearDistances(point, radius) {
+    return allFeatures.filter(f => f.geometry && f.geometry.paths)
+        .map(f => ({ feature: f, dist: distanceToPolyline(point, f.geometry.paths) }))
+        .filter(r => r.dist < radius)
+        .sort((a, b) => a.dist - b.dist);
+}`);
+const linearNearest = (point, maxDist) => run(`linearDistances(${JSON.stringify(point)}, ${maxDist})[0] || null`);
+
+const { test, done } = createRunner();
+
+test('findNearestSegment matches a linear scan', () => {
+    const points = [];
+    for (let i = 0; i < 100; i++) points.push({ lat: 32.05 + random() * 0.06, lng: 34.76 + random() * 0.05 });
+
+    for (const radius of [30, 40, 150]) {
+        let t0 = process.hrtime.bigint();
+        const linear = points.map(p => linearNearest(p, radius));
+        const linearMs = Number(process.hrtime.bigint() - t0) / 1e6;
+        t0 = process.hrtime.bigint();
+        const indexed = points.map(p => nearest(p, radius));
+        const indexedMs = Number(process.hrtime.bigint() - t0) / 1e6;
+
+        // Equal distances may pick a different segment — compare distances
+        const mismatches = linear.filter((r, i) =>
+            !r !== !indexed[i] || (r && Math.abs(r.dist - indexed[i].dist) > 1e-6)).length;
+        console.log(`   ${radius} m: ${linearMs.toFixed(1)} ms linear vs ${indexedMs.toFixed(1)} ms indexed ` +
+            `for ${points.length} lookups (${linear.filter(Boolean).length} hits)`);
+        assert.strictEqual(mismatches, 0);
+    }
+});
+
+test('features without paths are skipped', () => {
+    const grid = run('getSegmentGrid()');
+    assert.strictEqual(grid.count, withPaths.length - 2);   // empty paths have no bounds
+    for (const list of grid.cells.values()) {
+        assert.ok(list.every(f => f.geometry && f.geometry.paths && f.geometry.paths.some(p => p.length > 0)));
+    }
+});
+
+test('a feature crossing cell borders is found from every cell it touches', () => {
+    // Just inside four cells around one grid corner
+    const x = 17387 * CELL, y = 16030 * CELL;
+    const cross = lane([[[x - CELL * 0.1, y - CELL * 0.1], [x + CELL * 0.1, y + CELL * 0.1]]]);
+    setFeatures([cross]);
+    const grid = run('getSegmentGrid()');
+    assert.strictEqual(grid.cells.size, 4);
+    for (const [dx, dy] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+        const point = { lng: x + dx * CELL * 0.05, lat: y + dy * CELL * 0.05 };
+        assert.strictEqual([...run(`segmentGridCandidates(getSegmentGrid(), ${point.lat}, ${point.lng}, 1)`)].length, 1);
+        assert.ok(nearest(point, 30), `not found from ${dx},${dy}`);
+    }
+});
+
+test('a feature in many cells is returned once', () => {
+    const avenue = lane([[[34.76, 32.06], [34.80, 32.061]]]);
+    setFeatures([avenue]);
+    assert.ok(run('getSegmentGrid()').cells.size > 20);
+    const candidates = run('segmentGridCandidates(getSegmentGrid(), 32.0605, 34.78, 2000)');
+    assert.strictEqual(candidates.length, 1);
+});
+
+test('a radius larger than a cell reaches cells beyond the neighbours', () => {
+    // ~660 m north of a short lane: three cells away
+    const far = lane([[[34.7801, 32.0701], [34.7805, 32.0702]]]);
+    setFeatures([far]);
+    const point = { lat: 32.0761, lng: 34.7803 };
+    assert.strictEqual(nearest(point, 500), null);
+    const hit = nearest(point, 800);
+    assert.ok(hit && hit.feature.attributes.oid === far.attributes.oid);
+    assert.strictEqual(within(point, 800).length, 1);
+});
+
+test('findSegmentsWithin matches a linear scan, nearest first', () => {
+    setFeatures(features);
+    for (let i = 0; i < 50; i++) {
+        const point = { lat: 32.05 + random() * 0.06, lng: 34.76 + random() * 0.05 };
+        const radius = 100 + random() * 900;   // up to ~4 cells
+        const expected = run(`linearDistances(${JSON.stringify(point)}, ${radius}).map(r => r.dist)`);
+        assert.deepStrictEqual([...within(point, radius).map(r => r.dist)], [...expected]);
+    }
+});
+
+done();
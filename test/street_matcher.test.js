@@ -0,0 +1,70 @@
+// ============================================================
+// Street matcher — which name pairs are the same street
+// isSameStreet decides schedule candidates, sign overrides, camera
+// mapping and community reports, so a false match pulls another
+// street's hours onto a lane.
+//
+// Node:    node test/street_matcher.test.js   (exit code 1 on failures)
+// ============================================================
+
+const assert = require('assert');
+const { loadScripts, createRunner } = require('./load_scripts');
+
+const { run } = loadScripts(['street_matcher.js']);
+const compare = (a, b) => run(`compareStreetNames(${JSON.stringify(a)}, ${JSON.stringify(b)})`);
+const same = (a, b) => run(`isSameStreet(${JSON.stringify(a)}, ${JSON.stringify(b)})`);
+
+const { test, done } = createRunner();
+
+// [a, b, method] — pairs that are the same street
+const SAME_STREET = [
+    ['אבן גבירול', 'אבן גבירול', 'exact'],
+    ['רחוב אבן גבירול', 'אבן גבירול', 'exact'],
+    ['בגין מנחם', 'בגין', 'alias'],
+    ['תל גבורים', 'תל גיבורים', 'alias'],
+    ['גבורים', 'גיבורים', 'spelling'],
+    ['ד"ר ארלוזורוב', 'ארלוזורוב', 'spelling'],
+    ['הרב קוק', 'קוק', 'spelling'],
+    ['שְׁלֹמֹה', 'שלמה', 'exact'],
+    ['מנחם בגין', 'בגין מנחם', 'order'],
+    ['מנחם בגין', 'בגין', 'subset'],
+    ['מרדכי נמיר', 'נמיר', 'subset'],
+    ['דרך נמיר', 'נמיר', 'exact']
+];
+
+// [a, b] — pairs that share words but are different streets
+const OTHER_STREET = [
+    ['שלמה', 'שלמה המלך'],
+    ['יהודה', 'בן יהודה'],
+    ['לוי', 'יוסף לוי'],
+    ['אבן גבירול', 'אבן'],
+    ['דיזנגוף', 'ארלוזורוב']
+];
+
+for (const [a, b, method] of SAME_STREET) {
+    test(`same street: ${a} ↔ ${b} (${method})`, () => {
+        assert.strictEqual(compare(a, b).method, method);
+        assert.strictEqual(same(a, b), true);
+        assert.strictEqual(same(b, a), true);
+    });
+}
+
+for (const [a, b] of OTHER_STREET) {
+    test(`different streets: ${a} ↔ ${b}`, () => {
+        assert.strictEqual(same(a, b), false);
+        assert.strictEqual(same(b, a), false);
+    });
+}
+
+test('a shared word alone is only a suggestion', () => {
+    const result = compare('יהודה', 'בן יהודה');
+    assert.strictEqual(result.method, 'partial');
+    assert.ok(result.confidence > 0 && result.confidence < run('STREET_MATCH_THRESHOLD'));
+});
+
+test('findBestStreetMatch skips partial matches', () => {
+    assert.strictEqual(run("findBestStreetMatch('שלמה', ['שלמה המלך', 'בן יהודה'])"), null);
+    assert.strictEqual(run("findBestStreetMatch('בגין', ['שלמה המלך', 'מנחם בגין']).name"), 'מנחם בגין');
+});
+
+done();